@@ -498,5 +498,11 @@ module.exports = {
     "jsdoc/require-returns-description": 1,
     "jsdoc/require-returns-type": 1,
     "jsdoc/valid-types": 1
-  }
+  },
+  "overrides": [{
+    "files": ["test/**/*.js"],
+    "env": {
+      "mocha": true
+    }
+  }]
 };
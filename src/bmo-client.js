@@ -0,0 +1,57 @@
+/* This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ * Portions Copyright (C) Philipp Kewisch, 2020 */
+
+import { BMOClient } from "amolib";
+
+const BMO_REST_URL = "https://bugzilla.mozilla.org/rest";
+
+/**
+ * Blocklisting specific version of the BMOClient, adding bug searches.
+ */
+export default class BlocklistBMOClient extends BMOClient {
+  /**
+   * Construct the bugzilla client. The arguments are the same as for the BMOClient.
+   *
+   * @param {?string} apiKey        The bugzilla API key.
+   * @param {boolean} readonly      If true, no changes will be made on bugzilla.
+   */
+  constructor(apiKey, readonly=false) {
+    super(apiKey, readonly);
+    this.apiKey = apiKey;
+  }
+
+  /**
+   * Search for bugs using the bugzilla REST API.
+   *
+   * @param {object|Array|URLSearchParams} params   The search parameters, as for /rest/bug.
+   * @return {Promise<object[]>}                  The bugs found.
+   */
+  async searchBugs(params) {
+    let search = new URLSearchParams(params);
+    let headers = this.apiKey ? { "X-BUGZILLA-API-KEY": this.apiKey } : {};
+    let response = await fetch(`${BMO_REST_URL}/bug?${search}`, { headers });
+    let data = await response.json();
+
+    if (data.error) {
+      throw new Error(`Bugzilla search failed: ${data.message}`);
+    }
+
+    return data.bugs;
+  }
+
+  /**
+   * Get the bug ids for a bugzilla search URL, for example a buglist.cgi link copied from the
+   * browser.
+   *
+   * @param {string} url                The search URL.
+   * @return {Promise<number[]>}        The bug ids found.
+   */
+  async getBugIdsFromQuery(url) {
+    let params = new URL(url).searchParams;
+    params.set("include_fields", "id");
+    let bugs = await this.searchBugs(params);
+    return bugs.map(bug => bug.id);
+  }
+}
@@ -0,0 +1,148 @@
+/* This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ * Portions Copyright (C) Philipp Kewisch, 2020 */
+
+import { getSeverity, parseSeverity, formatVersionRanges, parseVersionRanges } from "./utils";
+import { HARD_BLOCK } from "./constants";
+
+/**
+ * Blocklist bug data.
+ *
+ * @typedef {object} BlocklistBugData
+ * @property {integer} id                   The bug id.
+ * @property {string} name                  The extension name, from the block.
+ * @property {string} reason                The full reason field.
+ * @property {string[]} guids               The array of guids to block.
+ * @property {?Array<object>} versionRange  The affected version ranges, or null if they could
+ *                                            not be parsed.
+ * @property {?number} severity             The block severity, or null if mixed or unknown.
+ * @property {?string} platforms            The affected platforms.
+ * @property {?string} additionalInfo       The additional information field.
+ */
+
+/**
+ * Create the markdown description for new blocklisting bugs.
+ *
+ * @param {string} name                 The extension name.
+ * @param {object[]} versionRange       The version ranges of the block.
+ * @param {string} reason               The reason to block.
+ * @param {string[]} guids              An array of guids to block.
+ * @param {?string} additionalInfo      Additional information for the bug.
+ * @param {?string} platformVersions    The platform version range.
+ * @return {string}                     The markdown description.
+ */
+export function compileDescription(name, versionRange, reason, guids, additionalInfo=null, platformVersions="<all platforms>") {
+  /**
+   * Removes backticks from the start of each line for use in a backticked string.
+   *
+   * @param {string} str    Input string.
+   * @return {string}       The removed backtick string.
+   */
+  function backtick(str) {
+    return str.replace(/^\s*```/mg, "").trim();
+  }
+
+  /**
+   * Replaces links in the string with hxxp:// links, except for AMO links.
+   *
+   * @param {string} str    Input string.
+   * @return {string}       The sanitized string.
+   */
+  function unlink(str) {
+    return str.replace(/http(s?):\/\/(?!(reviewers\.)?addons.mozilla.org)/g, "hxxp$1://");
+  }
+
+  /**
+   * Create a markdown table with an empty header based on the array. The array is an array of rows.
+   * Each row is an array of columns.
+   *
+   * @param {Array<string[]>} arr        Array of cells.
+   * @return {string}                    The markdown table.
+   */
+  function table(arr) {
+    function escapeTable(str) { // eslint-disable-line require-jsdoc
+      return str.replace(/\\/g, "\\\\").replace(/\|/g, "\\|");
+    }
+    return "| | |\n|-|-|\n|" + arr.map((row) => {
+      return row.map(escapeTable).join("|");
+    }).join("|\n|") + "|\n";
+  }
+
+  // The severity is only shown per range if the ranges have different severities
+  let severities = new Set(versionRange.map(range => range.severity));
+  let mixedSeverity = severities.size > 1;
+
+  let descr = table([
+    ["Extension name", name],
+    ["Extension versions affected", formatVersionRanges(versionRange, mixedSeverity)],
+    ["Block severity", mixedSeverity ? "mixed" : getSeverity(versionRange[0].severity)],
+    ["Platforms affected", platformVersions],
+  ]);
+
+  descr += "\n### Reason\n" + unlink(reason);
+  descr += "\n\n### Extension GUIDs\n```\n" + backtick(guids.join("\n")) + "\n```";
+
+  if (additionalInfo) {
+    descr += "\n\n### Additional Information\n" + unlink(additionalInfo.trim());
+  }
+
+  return descr;
+}
+
+/**
+ * Parse the description of a blocklist bug that uses the form.
+ *
+ * @param {integer} id                    The bug id.
+ * @param {string} text                   The text of the first comment of the bug.
+ * @return {?BlocklistBugData}            The parsed blocklist data, or null if the bug doesn't
+ *                                          use the form.
+ */
+export function parseBlocklistBugText(id, text) {
+  /**
+   * Get the value of a row in the table at the start of the form.
+   *
+   * @param {string} key      The label of the row.
+   * @return {?string}        The unescaped value of the row.
+   */
+  function tableRow(key) {
+    let match = text.match(new RegExp(`\\|\\s*${key}\\s*\\|((?:\\\\.|[^|\\\\])*)\\|`));
+    return match && match[1].replace(/\\(.)/g, "$1").trim();
+  }
+
+  /**
+   * Get the text of a section of the form, up to the next section.
+   *
+   * @param {string} title    The title of the section.
+   * @return {?string}        The text of the section.
+   */
+  function section(title) {
+    let match = text.match(new RegExp(`### ${title}\\n([\\s\\S]*?)(?=\\n+### |$)`));
+    return match && match[1].trim();
+  }
+
+  let name = tableRow("Extension name");
+  let reason = section("Reason");
+
+  let matches = text.match(/### Extension (GU)?IDs\n```([\s\S]+?)\n```/);
+  let guids = matches && matches[2].trim().split("\n");
+
+  if (!name || !reason || !guids) {
+    return null;
+  }
+
+  let severityString = tableRow("Block severity");
+  let severity = severityString && parseSeverity(severityString);
+  let versions = tableRow("Extension versions affected");
+
+  return {
+    id,
+    name,
+    reason,
+    guids,
+    severity: severity || null,
+    versionRange: versions ? parseVersionRanges(versions, severity || HARD_BLOCK) : null,
+    platforms: tableRow("Platforms affected"),
+    additionalInfo: section("Additional Information")
+  };
+}
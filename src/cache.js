@@ -0,0 +1,89 @@
+/* This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ * Portions Copyright (C) Philipp Kewisch, 2020 */
+
+import fs from "fs";
+import path from "path";
+import os from "os";
+
+/**
+ * Cached collection data.
+ *
+ * @typedef {object} CachedCollection
+ * @property {string} timestamp             The collection timestamp, for use with `since`.
+ * @property {object[]} records             The records of the collection.
+ */
+
+/**
+ * A persistent on-disk cache for the addons collection, with one file per host and bucket.
+ */
+export default class BlocklistCache {
+  /**
+   * Construct the cache.
+   *
+   * @param {?string} directory     The cache directory, defaults to ~/.cache/mozblocklist.
+   */
+  constructor(directory=null) {
+    this.directory = directory || path.join(process.env.XDG_CACHE_HOME || path.join(os.homedir(), ".cache"), "mozblocklist");
+  }
+
+  /**
+   * Get the path of the cache file.
+   *
+   * @param {string} host           The kinto host.
+   * @param {string} bucket         The bucket name.
+   * @return {string}               The path to the cache file.
+   */
+  getPath(host, bucket) {
+    return path.join(this.directory, host, bucket + ".json");
+  }
+
+  /**
+   * Load the cached collection.
+   *
+   * @param {string} host           The kinto host.
+   * @param {string} bucket         The bucket name.
+   * @return {?CachedCollection}    The cached collection, or null if there is no valid cache.
+   */
+  load(host, bucket) {
+    try {
+      return JSON.parse(fs.readFileSync(this.getPath(host, bucket), "utf-8"));
+    } catch (e) {
+      // The cache doesn't exist yet or is corrupt, it will be refreshed.
+      return null;
+    }
+  }
+
+  /**
+   * Save the collection to the cache.
+   *
+   * @param {string} host           The kinto host.
+   * @param {string} bucket         The bucket name.
+   * @param {CachedCollection} data The collection to cache.
+   */
+  save(host, bucket, data) {
+    let file = this.getPath(host, bucket);
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    fs.writeFileSync(file, JSON.stringify(data));
+  }
+
+  /**
+   * Apply changes retrieved using `since` to the cached records, including deletions.
+   *
+   * @param {object[]} records      The cached records.
+   * @param {object[]} changes      The changed records, deleted records have the deleted flag.
+   * @return {object[]}             The updated records.
+   */
+  static applyChanges(records, changes) {
+    let byId = new Map(records.map(record => [record.id, record]));
+    for (let change of changes) {
+      if (change.deleted) {
+        byId.delete(change.id);
+      } else {
+        byId.set(change.id, change);
+      }
+    }
+    return [...byId.values()];
+  }
+}
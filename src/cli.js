@@ -4,18 +4,29 @@
  * Portions Copyright (C) Philipp Kewisch, 2018-2019 */
 
 import yargs from "yargs";
-import { AMOSession, AMORedashClient, TelemetryRedashClient, BMOClient, requiresVPN, getConfig } from "amolib";
+import { AMOSession, AMORedashClient, TelemetryRedashClient, requiresVPN, getConfig } from "amolib";
 import { UserSheet } from "./sheet";
 
 import BlocklistKintoClient from "./kinto-client";
-import { KintoBasicAuth, KintoOAuth, KeytarAuthStore } from "./kinto-auth";
+import BlocklistBMOClient from "./bmo-client";
+import BlocklistCache from "./cache";
+import BlocklistJournal from "./journal";
+import { installDryRun } from "./dryrun";
+import { startRecording, saveRecording, startReplay } from "./replay";
+import { checkConfig, collectBuilderOptions } from "./config-check";
+import { LIST_FIELDS, DEFAULT_LIST_FIELDS, DEFAULT_SQL_FIELDS } from "./formats";
+import { loadManifest } from "./manifest";
+import { KintoBasicAuth, KintoOAuth, KeytarAuthStore, MemoryAuthStore } from "./kinto-auth";
 import Mozblocklist from "./mozblocklist";
 import { PUBLIC_HOST, PROD_HOST, STAGE_HOST } from "./constants";
-import { CaselessMap, waitForStdin } from "./utils";
+import { CaselessMap, waitForStdin, parseSeverity, parseVersionRange, pluralForm } from "./utils";
 
 import path from "path";
 import os from "os";
 
+// The authorization header used when replaying, the real one is not part of the recording
+const REPLAY_AUTH = "Bearer replay";
+
 /**
  * The main program executed when called.
  */
@@ -41,7 +52,7 @@ import os from "os";
       })
       .option("B", {
         alias: "bug",
-        describe: type + " blocks from given bug"
+        describe: type + " blocks from given bug, can be passed multiple times when creating"
       })
       .options("u", {
         "alias": "usage",
@@ -67,6 +78,33 @@ import os from "os";
       "boolean": true,
       "describe": "Enable debugging"
     })
+    .option("cache", {
+      "boolean": true,
+      "default": true,
+      "describe": "Cache the blocklist on disk and only retrieve changes"
+    })
+    .option("offline", {
+      "boolean": true,
+      "describe": "Only use the cached blocklist, for the check and list commands"
+    })
+    .option("dry-run", {
+      "boolean": true,
+      "describe": "Print the changes that would be made to kinto, bugzilla and AMO instead of making them"
+    })
+    .option("record", {
+      type: "string",
+      conflicts: "replay",
+      describe: "Record all HTTP exchanges to the directory"
+    })
+    .option("replay", {
+      type: "string",
+      conflicts: "record",
+      describe: "Replay HTTP exchanges from a directory created with --record"
+    })
+    .option("json", {
+      "boolean": true,
+      "describe": "Machine-readable output for the check, pending, status and usage commands"
+    })
     .option("H", {
       "alias": "host",
       "default": PUBLIC_HOST,
@@ -106,20 +144,137 @@ import os from "os";
           "default": "staging",
           "choices": ["blocklists", "blocklists-preview", "staging"],
           "describe": "The bucket to compare against."
+        })
+        .option("severity", {
+          choices: ["hard", "soft"],
+          describe: "The severity of the block, will be prompted if not set"
+        })
+        .option("R", {
+          alias: "range",
+          type: "array",
+          describe: "Version ranges to block as min:max or min:max:severity, will be prompted if not set"
+        })
+        .option("bugs-from-query", {
+          type: "string",
+          conflicts: ["manifest"],
+          describe: "Create blocks for all bugs in the bugzilla search URL"
+        })
+        .option("manifest", {
+          type: "string",
+          conflicts: ["bug", "severity", "range", "user"],
+          describe: "Create the block without prompting, from a JSON or YAML block manifest"
+        });
+    })
+    .command("unblock [guids..]", "Remove guids from existing blocklist entries", (subyargs) => {
+      subyargs.positional("guids", {
+        describe: "The add-ons guids to unblock",
+        type: "string",
+      })
+        .default("guids", [], "<from stdin>")
+        .option("c", {
+          "alias": "continue",
+          "boolean": true,
+          "describe": "Allow unblocking when there are work in progress items"
+        });
+    })
+    .command("edit <id>", "Modify an existing blocklist entry", (subyargs) => {
+      subyargs.positional("id", {
+        describe: "The guid or kinto record id of the entry to edit",
+        type: "string",
+      })
+        .option("c", {
+          "alias": "continue",
+          "boolean": true,
+          "describe": "Allow editing when there are work in progress items"
+        })
+        .option("name", {
+          type: "string",
+          describe: "The new name of the block"
+        })
+        .option("reason", {
+          type: "string",
+          describe: "The new kinto reason of the block"
+        })
+        .option("B", {
+          alias: "bug",
+          type: "string",
+          describe: "The new bug id or link of the block"
+        })
+        .option("severity", {
+          choices: ["hard", "soft"],
+          describe: "The new severity, applies to all version ranges unless ranges are passed"
+        })
+        .option("R", {
+          alias: "range",
+          type: "array",
+          describe: "The new version ranges as min:max or min:max:severity"
+        })
+        .epilog("Fields not passed on the command line will be prompted for, unless at least one field was passed.");
+    })
+    .command("compact", "Repack fragmented blocklist entries into fewer regex entries", (subyargs) => {
+      subyargs.option("c", {
+        "alias": "continue",
+        "boolean": true,
+        "describe": "Allow compacting when there are work in progress items"
+      });
+    })
+    .command("lint", "Validate all entries of the blocklist", (subyargs) => {
+      subyargs.option("b", {
+        "alias": "bucket",
+        "default": "staging",
+        "choices": ["blocklists", "blocklists-preview", "staging"],
+        "describe": "The bucket to validate"
+      });
+    })
+    .command("diff <source> <target>", "Compare two blocklists on the level of single guids", (subyargs) => {
+      subyargs.positional("source", {
+        describe: "The source blocklist: a bucket, host/bucket or a JSON file from `list -f json`",
+        type: "string",
+      })
+        .positional("target", {
+          describe: "The target blocklist: a bucket, host/bucket or a JSON file from `list -f json`",
+          type: "string",
         });
     })
     .command("list", "Display the blocklist in different ways", (subyargs) => {
       subyargs.option("f", {
         "alias": "format",
         "nargs": 1,
-        "choices": ["json", "sql"],
+        "choices": ["json", "sql", "csv", "ndjson", "markdown", "guids"],
         "default": "json",
         "describe": "Output format"
       })
+        .option("fields", {
+          type: "string",
+          defaultDescription: `${DEFAULT_LIST_FIELDS.join(",")}, for sql ${DEFAULT_SQL_FIELDS.join(",")}`,
+          coerce: (fields) => {
+            if (!fields) {
+              return null;
+            }
+
+            let fieldList = fields.split(",").map(field => field.trim());
+            let unknown = fieldList.filter(field => !LIST_FIELDS.hasOwnProperty(field));
+            if (unknown.length) {
+              throw new Error(`Error: Unknown fields ${unknown.join(",")}, valid fields are ${Object.keys(LIST_FIELDS).join(",")}`);
+            }
+            return fieldList;
+          },
+          describe: "Comma separated fields for the csv, ndjson, markdown and sql formats"
+        })
+        .option("dialect", {
+          "choices": ["mysql", "postgres", "bigquery"],
+          "default": "mysql",
+          "describe": "The SQL dialect for the sql format"
+        })
+        .option("t", {
+          alias: "table",
+          type: "string",
+          describe: "For the sql format, create a temporary table with this name"
+        })
         .option("a", {
           "alias": "all",
           "boolean": true,
-          "describe": "Retrieve all guids from redash when using the sql output format"
+          "describe": "Retrieve all guids from redash when using the sql output format, needs -t"
         })
         .option("b", {
           "alias": "bucket",
@@ -130,7 +285,10 @@ import os from "os";
         .epilog(
           "The 'json' output will show the raw blocklist.\n\n" +
         "The 'sql' output will take a list of guids on stdin (or use the -a option) and show SQL" +
-        " statements to create a table out of them. This is useful for further processing on redash."
+        " statements to create a table out of them. This is useful for further processing on redash." +
+        " Use --dialect postgres or bigquery for the telemetry data sources.\n\n" +
+        "The 'csv', 'ndjson' and 'markdown' outputs show one row per guid, with regexes expanded. The" +
+        " 'guids' output shows a plain list of all blocked guids."
         );
     })
     .command("usage [guids...]", "Show usage for a number of add-ons", (subyargs) => {
@@ -151,26 +309,36 @@ import os from "os";
         "type": "array",
         "default": [],
         "coerce": (reviewer) => {
-          if (reviewer.length == 1) {
-            let caseMap = new CaselessMap(Object.entries(config.mozblocklist.reviewers || {}));
-            let reviewerData = caseMap.get(reviewer[0]);
-            if (reviewerData) {
-              return [reviewerData.name, reviewerData.email];
+          let caseMap = new CaselessMap(Object.entries(config.mozblocklist.reviewers || {}));
+          let reviewers = [];
+          for (let idx = 0; idx < reviewer.length; idx++) {
+            let next = String(reviewer[idx + 1] || "");
+            if (next.includes("@")) {
+              reviewers.push({ name: String(reviewer[idx]), email: next });
+              idx++;
+            } else if (caseMap.has(String(reviewer[idx]))) {
+              let { name, email } = caseMap.get(String(reviewer[idx]));
+              reviewers.push({ name, email });
             } else {
-              throw new Error("Error: Could not find reviewer alias " + reviewer[0]);
+              throw new Error("Error: Could not find reviewer alias " + reviewer[idx]);
             }
-          } else if (reviewer.length == 2) {
-            if (!reviewer[1].includes("@")) {
-              throw new Error(`Error: ${reviewer[1]} is not an email address`);
-            }
-          } else if (reviewer.length != 0) {
-            throw new Error("Invalid reviewer arguments: " + reviewer.join(" "));
           }
 
-          return reviewer;
+          return reviewers;
         },
-        "describe": "A reviewer alias from ~/.amorc that will review and push the block, or the name and email of the reviewer"
+        "describe": "Reviewer aliases from ~/.amorc that will review and push the block, or the name and email of each reviewer"
       })
+        .option("a", {
+          alias: "auto",
+          coerce: (count) => {
+            let number = count === true ? 1 : Number(count);
+            if (!Number.isInteger(number) || number < 1) {
+              throw new Error("Error: --auto takes the number of reviewers to pick");
+            }
+            return number;
+          },
+          describe: "Pick this many reviewers from ~/.amorc, those with the fewest open needinfos first"
+        })
         .options("u", {
           "alias": "usage",
           "boolean": true,
@@ -203,7 +371,52 @@ import os from "os";
           "default": !!(config.mozblocklist && config.mozblocklist.userSheet),
         });
     })
-    .command("reject", "Reject a pending blocklist review")
+    .command("queue", "List open blocklist request bugs and how far they have been processed")
+    .command("history <guid>", "Show when a guid was blocked, changed or unblocked and by whom", (subyargs) => {
+      subyargs.positional("guid", {
+        describe: "The add-on guid to show the history for",
+        type: "string",
+      });
+    })
+    .command("rollback", "Discard all work in progress blocks and return to the signed state", (subyargs) => {
+      subyargs.option("m", {
+        alias: "message",
+        type: "string",
+        describe: "The reason for the rollback, added to the bug comments"
+      });
+    })
+    .command("reject", "Reject a pending blocklist review", (subyargs) => {
+      subyargs.option("m", {
+        alias: "message",
+        type: "string",
+        describe: "The reason for rejecting, added to the bug comments. Asked for if not set"
+      })
+        .option("d", {
+          "alias": "delete",
+          "type": "array",
+          "default": [],
+          "coerce": bugs => bugs.map(Number),
+          "describe": "Bug numbers whose new entries will be deleted from staging"
+        });
+    })
+    .command("config", "Work with the configuration in ~/.amorc", (subyargs) => {
+      subyargs.command("check", "Validate the configuration")
+        .demandCommand(1, 1, "Error: Missing config command");
+    })
+    .command("journal [query]", "Search the journal of changes made with this tool", (subyargs) => {
+      subyargs.positional("query", {
+        describe: "Only show entries containing this text, for example a bug id or guid",
+        type: "string",
+      })
+        .option("command", {
+          choices: ["create", "review", "sign", "reject", "unblock", "edit", "compact", "rollback", "ban", "disable"],
+          describe: "Only show entries for this command"
+        })
+        .option("since", {
+          coerce: arg => new Date(arg),
+          describe: "Only show entries after this date"
+        });
+    })
     .example("echo guid@example.com | $0 check", "Check if guid@example.com is in the blocklist")
     .example("echo 1285960 | $0 check -i", "The same, but check for the AMO id of the add-on")
     .example("echo 1285960 | $0 create -i", "The same, but also prompt for creating the blocklist entry")
@@ -213,6 +426,34 @@ import os from "os";
     .wrap(120)
     .argv;
 
+  // The clients read the config in their constructors, so the check needs to run before them
+  if (argv._[0] == "config") {
+    // The defaults apply to all commands, so any option of any command is valid
+    let globalOptions = yargs.getOptions();
+    let knownOptions = Object.keys(globalOptions.key).concat(...Object.values(globalOptions.alias));
+    for (let { builder } of Object.values(yargs.getCommandInstance().getCommandHandlers())) {
+      if (typeof builder == "function") {
+        knownOptions.push(...collectBuilderOptions(builder));
+      }
+    }
+
+    let { errors, warnings } = checkConfig(config, knownOptions);
+    for (let warning of warnings) {
+      console.warn("Warning: " + warning);
+    }
+    for (let error of errors) {
+      console.error("Error: " + error);
+    }
+
+    if (errors.length) {
+      console.log(`\nFound ${errors.length} ${pluralForm(errors.length, "error;errors")} in ~/.amorc`);
+      process.exitCode = 1;
+    } else {
+      console.log("The configuration is valid");
+    }
+    return;
+  }
+
   let writer;
   let remote;
   if (argv.stage) {
@@ -223,19 +464,41 @@ import os from "os";
     remote = `https://${argv.host}/v1`;
   }
 
+  if (argv.offline && !["check", "list", "journal"].includes(argv._[0])) {
+    throw new Error(`The ${argv._[0]} command is not available offline`);
+  }
+
+  if (argv.json && !["check", "pending", "status", "usage"].includes(argv._[0])) {
+    throw new Error(`The ${argv._[0]} command does not support --json`);
+  }
+
+  if (argv.record) {
+    startRecording();
+  } else if (argv.replay) {
+    startReplay(argv.replay);
+  }
+
+  // Recordings should not depend on the state of the cache
+  let replaying = argv.record || argv.replay;
+  let cache = (argv.cache || argv.offline) && !replaying ? new BlocklistCache() : null;
   let userSheetConfig = config.mozblocklist && config.mozblocklist.userSheet || {}; // eslint-disable-line no-mixed-operators
+  let journalConfig = config.mozblocklist && config.mozblocklist.journal;
 
   let mozblock = new Mozblocklist({
     globalOpts: argv,
     kinto: new BlocklistKintoClient(remote, {
       writer: writer,
-      auth: new KintoOAuth(new KeytarAuthStore("mozblocklist", "oauth")),
+      auth: new KintoOAuth(argv.replay ? new MemoryAuthStore(REPLAY_AUTH) : new KeytarAuthStore("mozblocklist", "oauth")),
+      cache: cache,
+      offline: argv.offline
     }),
     kintoapprover: new BlocklistKintoClient(remote, {
       writer: writer,
-      auth: new KintoBasicAuth(new KeytarAuthStore("mozblocklist", "basic")),
+      auth: new KintoBasicAuth(argv.replay ? new MemoryAuthStore(REPLAY_AUTH) : new KeytarAuthStore("mozblocklist", "basic")),
+      cache: cache,
+      offline: argv.offline
     }),
-    bugzilla: new BMOClient(config.auth && config.auth.bugzilla_key, !argv.bugzilla),
+    bugzilla: new BlocklistBMOClient(config.auth && config.auth.bugzilla_key, !argv.bugzilla),
     redash: new AMORedashClient({ apiToken: config.auth && config.auth.redash_key, debug: argv.debug }),
     redash_telemetry: new TelemetryRedashClient({ apiToken: config.auth && config.auth.redash_key, debug: argv.debug }),
     amo: new AMOSession({ debug: argv.debug }),
@@ -245,9 +508,14 @@ import os from "os";
       credentials: userSheetConfig.credentials,
       authstore: new KeytarAuthStore("mozblocklist", "gsheets"),
       debug: argv.debug
-    })
+    }),
+    journal: journalConfig === false || argv.replay ? null : new BlocklistJournal(journalConfig)
   });
 
+  if (argv.dryRun) {
+    installDryRun(mozblock);
+  }
+
   try {
     // TODO move this to keytar
     mozblock.amo.loadCookies(path.join(os.homedir(), ".amo_cookie"));
@@ -255,68 +523,183 @@ import os from "os";
     // This can fail if the file doesn't exist or the data is invalid, which is fine.
   }
 
-  switch (argv._[0]) {
-    case "list":
-      await mozblock.displayBlocklist(argv.format, argv.all || false, argv.bucket);
-      break;
-
-    case "create":
-      requiresVPN();
-      // Fallthrough intended
-    case "check":
-      await mozblock.checkGuidsInteractively({
-        create: argv._[0] == "create",
-        canContinue: !!argv["continue"],
-        guids: argv.guids || [],
-        bug: argv.bug,
-        showUsage: argv.usage,
-        allFromUsers: argv.user,
-        selfsign: argv.selfsign,
-        bucket: argv.bucket
-      });
-      break;
-
-    case "pending":
-      requiresVPN();
-      if (argv.guids) {
-        await mozblock.displayPendingGuids(argv.wip ? "staging" : "blocklists-preview");
-      } else {
-        await mozblock.displayPending({ compareWith: argv.wip ? "staging" : "blocklists-preview" });
+  try {
+    switch (argv._[0]) {
+      case "list":
+        if (argv.format == "sql" && argv.all && !argv.table) {
+          throw new Error("A query with all guids is too large, use -t to fill a temporary table in chunks");
+        }
+        await mozblock.displayBlocklist({
+          format: argv.format,
+          loadAllGuids: argv.all || false,
+          bucket: argv.bucket,
+          fields: argv.fields,
+          dialect: argv.dialect,
+          table: argv.table
+        });
+        break;
+
+      case "create":
+        requiresVPN();
+        // Fallthrough intended
+      case "check": {
+        let severity = argv.severity && parseSeverity(argv.severity);
+        let versionRange = (argv.range || []).map(range => parseVersionRange(range, severity));
+        let manifest = null;
+        if (argv.manifest) {
+          if (argv.guids && argv.guids.length) {
+            throw new Error("The guids need to be specified in the manifest");
+          }
+          manifest = loadManifest(argv.manifest, (config.mozblocklist && config.mozblocklist.canned) || {});
+        }
+
+        let bugs = [].concat(argv.bug || []);
+        if (argv.bugsFromQuery) {
+          bugs.push(...await mozblock.bugzilla.getBugIdsFromQuery(argv.bugsFromQuery));
+        }
+
+        if (bugs.length > 1 || argv.bugsFromQuery) {
+          if (argv._[0] != "create") {
+            throw new Error("Multiple bugs can only be passed when creating blocks");
+          }
+          await mozblock.createBlocklistEntriesFromBugs({
+            bugs: bugs,
+            canContinue: !!argv["continue"],
+            selfsign: argv.selfsign,
+            bucket: argv.bucket,
+            severity: severity,
+            versionRange: versionRange
+          });
+          break;
+        }
+
+        await mozblock.checkGuidsInteractively({
+          create: argv._[0] == "create",
+          canContinue: !!argv["continue"],
+          guids: argv.guids || [],
+          bug: bugs[0],
+          showUsage: argv.usage,
+          allFromUsers: argv.user,
+          selfsign: argv.selfsign,
+          bucket: argv.bucket,
+          severity: severity,
+          versionRange: versionRange,
+          json: argv.json,
+          manifest: manifest
+        });
+        break;
       }
-      break;
-
-    case "status":
-      requiresVPN();
-      await mozblock.printBlocklistStatus();
-      break;
-    case "review":
-      await mozblock.reviewBlocklist({
-        reviewerName: argv.reviewer[0],
-        reviewerEmail:  argv.reviewer[1],
-        showUsage: argv.usage
-      });
-      break;
-    case "usage":
-      if (!argv.guids.length) {
-        if (process.stdin.isTTY) {
-          console.warn("Waiting for guids (one per line, Ctrl+D to finish)");
+
+      case "unblock":
+        requiresVPN();
+        await mozblock.unblockGuidsInteractively({
+          guids: argv.guids || [],
+          canContinue: !!argv["continue"]
+        });
+        break;
+
+      case "edit": {
+        requiresVPN();
+        let severity = argv.severity && parseSeverity(argv.severity);
+        await mozblock.editBlocklistEntryInteractively({
+          id: argv.id,
+          canContinue: !!argv["continue"],
+          name: argv.name,
+          reason: argv.reason,
+          bug: argv.bug,
+          severity: severity,
+          versionRange: (argv.range || []).map(range => parseVersionRange(range, severity))
+        });
+        break;
+      }
+
+      case "compact":
+        requiresVPN();
+        await mozblock.compactBlocklist({ canContinue: !!argv["continue"] });
+        break;
+
+      case "lint":
+        if (await mozblock.lintBlocklist({ bucket: argv.bucket })) {
+          process.exitCode = 1;
+        }
+        break;
+
+      case "diff":
+        await mozblock.diffBlocklists(argv.source, argv.target);
+        break;
+
+      case "pending":
+        requiresVPN();
+        if (argv.guids) {
+          await mozblock.displayPendingGuids(argv.wip ? "staging" : "blocklists-preview", argv.json);
+        } else {
+          await mozblock.displayPending({ compareWith: argv.wip ? "staging" : "blocklists-preview", json: argv.json });
         }
-        argv.guids = await waitForStdin();
+        break;
+
+      case "status":
+        requiresVPN();
+        await mozblock.printBlocklistStatus(argv.json);
+        break;
+      case "review": {
+        let reviewers = argv.reviewer;
+        if (argv.auto) {
+          let away = new Set((config.mozblocklist.away || []).map(alias => alias.toLowerCase()));
+          let chosen = new Set(reviewers.map(reviewer => reviewer.email));
+          let candidates = Object.entries(config.mozblocklist.reviewers || {})
+            .filter(([alias, reviewer]) => !away.has(alias.toLowerCase()) && !chosen.has(reviewer.email))
+            .map(([alias, { name, email }]) => ({ name, email }));
+
+          reviewers = reviewers.concat(await mozblock.pickReviewers(candidates, argv.auto));
+        }
+
+        await mozblock.reviewBlocklist({
+          reviewers: reviewers,
+          showUsage: argv.usage
+        });
+        break;
       }
+      case "usage":
+        if (!argv.guids.length) {
+          if (process.stdin.isTTY && !argv.json) {
+            console.warn("Waiting for guids (one per line, Ctrl+D to finish)");
+          }
+          argv.guids = await waitForStdin();
+        }
 
-      await mozblock.showUsage(argv.guids, argv.refdate);
-      break;
-    case "sign":
-      await mozblock.reviewAndSignBlocklist({ selfsign: argv.selfsign, showUsage: argv.usage });
-      break;
-    case "test":
-      break;
-    case "reject":
-      await mozblock.kinto.rejectBlocklist();
-      break;
-    default:
-      yargs.showHelp();
-      break;
+        await mozblock.showUsage(argv.guids, argv.refdate, argv.json);
+        break;
+      case "sign":
+        await mozblock.reviewAndSignBlocklist({ selfsign: argv.selfsign, showUsage: argv.usage });
+        break;
+      case "test":
+        break;
+      case "queue":
+        requiresVPN();
+        await mozblock.displayBlocklistQueue();
+        break;
+      case "history":
+        requiresVPN();
+        await mozblock.displayGuidHistory(argv.guid);
+        break;
+      case "rollback":
+        requiresVPN();
+        await mozblock.rollbackBlocklist({ message: argv.message });
+        break;
+      case "reject":
+        await mozblock.rejectBlocklist({ message: argv.message, deleteBugs: argv.delete });
+        break;
+      case "journal":
+        mozblock.displayJournal({ query: argv.query, command: argv.command, since: argv.since });
+        break;
+      default:
+        yargs.showHelp();
+        break;
+    }
+  } finally {
+    if (argv.record) {
+      saveRecording(argv.record);
+    }
   }
 })().catch((e) => {
   console.error(e);
@@ -0,0 +1,224 @@
+/* This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ * Portions Copyright (C) Philipp Kewisch, 2020 */
+
+import { renderTemplate } from "./utils";
+
+const MOZBLOCKLIST_KEYS = ["reviewers", "canned", "defaults", "userSheet", "journal", "away"];
+
+/**
+ * Issues found in the configuration.
+ *
+ * @typedef {object} ConfigIssues
+ * @property {string[]} errors          Problems that will make commands fail.
+ * @property {string[]} warnings        Problems that disable features or may be mistakes.
+ */
+
+/**
+ * Convert a dashed option name to camel case, as yargs does.
+ *
+ * @param {string} str          The option name.
+ * @return {string}             The camel case option name.
+ */
+function camelCase(str) {
+  return str.replace(/-([a-z])/g, (match, chr) => chr.toUpperCase());
+}
+
+/**
+ * Collect the option names and aliases a yargs command builder defines, by running it on an object
+ * that records the calls.
+ *
+ * @param {Function} builder    The yargs command builder.
+ * @return {string[]}           The option names and aliases.
+ */
+export function collectBuilderOptions(builder) {
+  let known = [];
+  let collector = new Proxy({}, {
+    get(target, prop) {
+      return (key, opt={}) => {
+        if (["option", "options", "positional"].includes(prop)) {
+          known.push(key, ...[].concat(opt.alias || []));
+        }
+        return collector;
+      };
+    }
+  });
+
+  builder(collector);
+  return known;
+}
+
+/**
+ * Check if the value is a plain object.
+ *
+ * @param {*} value             The value to check.
+ * @return {boolean}            True, if the value is a plain object.
+ */
+function isObject(value) {
+  return !!value && typeof value == "object" && !Array.isArray(value);
+}
+
+/**
+ * Check if the value is a non-empty string.
+ *
+ * @param {*} value             The value to check.
+ * @return {boolean}            True, if the value is a non-empty string.
+ */
+function isString(value) {
+  return typeof value == "string" && !!value.trim();
+}
+
+/**
+ * Validate the configuration from ~/.amorc.
+ *
+ * @param {object} config               The full configuration.
+ * @param {string[]} knownOptions       The names of all command line options, for the defaults.
+ * @return {ConfigIssues}               The issues found.
+ */
+export function checkConfig(config, knownOptions) {
+  let errors = [];
+  let warnings = [];
+
+  let auth = config.auth || {};
+  if (!isObject(auth)) {
+    errors.push("auth: must be an object");
+    auth = {};
+  }
+  for (let [key, feature] of [["bugzilla_key", "bugzilla comments"], ["redash_key", "redash queries"]]) {
+    if (!(key in auth)) {
+      warnings.push(`auth.${key}: not set, ${feature} will not be available`);
+    } else if (!isString(auth[key])) {
+      errors.push(`auth.${key}: must be a non-empty string`);
+    }
+  }
+
+  let section = config.mozblocklist || {};
+  if (!isObject(section)) {
+    errors.push("mozblocklist: must be an object");
+    return { errors, warnings };
+  }
+
+  for (let key of Object.keys(section)) {
+    if (!MOZBLOCKLIST_KEYS.includes(key)) {
+      warnings.push(`mozblocklist.${key}: unknown setting, expected one of ${MOZBLOCKLIST_KEYS.join(", ")}`);
+    }
+  }
+
+  let reviewers = section.reviewers || {};
+  if (isObject(reviewers)) {
+    for (let [alias, reviewer] of Object.entries(reviewers)) {
+      if (!isObject(reviewer)) {
+        errors.push(`mozblocklist.reviewers.${alias}: must be an object with name and email`);
+        continue;
+      }
+      if (!isString(reviewer.name)) {
+        errors.push(`mozblocklist.reviewers.${alias}.name: must be a non-empty string`);
+      }
+      if (!isString(reviewer.email) || !reviewer.email.includes("@")) {
+        errors.push(`mozblocklist.reviewers.${alias}.email: must be an email address`);
+      }
+    }
+  } else {
+    errors.push("mozblocklist.reviewers: must be an object mapping aliases to reviewers");
+    reviewers = {};
+  }
+
+  let away = section.away || [];
+  if (Array.isArray(away)) {
+    for (let alias of away) {
+      if (!Object.keys(reviewers).some(key => key.toLowerCase() == String(alias).toLowerCase())) {
+        warnings.push(`mozblocklist.away: ${alias} is not a configured reviewer alias`);
+      }
+    }
+  } else {
+    errors.push("mozblocklist.away: must be a list of reviewer aliases");
+  }
+
+  let canned = section.canned || {};
+  if (isObject(canned)) {
+    for (let [key, reason] of Object.entries(canned)) {
+      if (key == "custom") {
+        errors.push("mozblocklist.canned.custom: the name is reserved for custom reasons");
+      }
+      if (!isObject(reason)) {
+        errors.push(`mozblocklist.canned.${key}: must be an object with kinto and bugzilla reasons`);
+        continue;
+      }
+      for (let field of ["kinto", "bugzilla"]) {
+        if (!isString(reason[field])) {
+          errors.push(`mozblocklist.canned.${key}.${field}: must be a non-empty string`);
+        } else if (reason[field].includes("{")) {
+          for (let count of [0, 1, 2, 5]) {
+            try {
+              renderTemplate(reason[field], { name: "name", count: count, bug: "1", versions: "<all versions>" });
+            } catch (e) {
+              errors.push(`mozblocklist.canned.${key}.${field}: ${e.message}`);
+              break;
+            }
+          }
+        } else if (reason[field].split(";").length > 2) {
+          errors.push(`mozblocklist.canned.${key}.${field}: must have at most two plural forms separated by a semicolon`);
+        } else if (reason[field].split(";").some(form => !form.trim())) {
+          errors.push(`mozblocklist.canned.${key}.${field}: has an empty plural form`);
+        }
+      }
+    }
+  } else {
+    errors.push("mozblocklist.canned: must be an object mapping names to reasons");
+  }
+
+  let defaults = section.defaults || {};
+  if (isObject(defaults)) {
+    let known = new Set(knownOptions.concat(knownOptions.map(camelCase)));
+    for (let key of Object.keys(defaults)) {
+      if (!known.has(key)) {
+        errors.push(`mozblocklist.defaults.${key}: unknown command line option`);
+      }
+    }
+
+    let reviewer = [].concat(defaults.reviewer || defaults.r || []).map(String);
+    for (let idx = 0; idx < reviewer.length; idx++) {
+      if (String(reviewer[idx + 1]).includes("@")) {
+        idx++;
+      } else if (!Object.keys(reviewers).some(alias => alias.toLowerCase() == reviewer[idx].toLowerCase())) {
+        errors.push(`mozblocklist.defaults.reviewer: ${reviewer[idx]} is not a configured reviewer alias`);
+      }
+    }
+  } else {
+    errors.push("mozblocklist.defaults: must be an object mapping options to values");
+  }
+
+  if ("userSheet" in section) {
+    let sheet = section.userSheet;
+    if (isObject(sheet)) {
+      for (let key of ["sheetId", "sheetRange"]) {
+        if (!isString(sheet[key])) {
+          errors.push(`mozblocklist.userSheet.${key}: must be a non-empty string`);
+        }
+      }
+
+      let credentials = sheet.credentials;
+      if (isObject(credentials)) {
+        for (let key of ["client_id", "client_secret"]) {
+          if (!isString(credentials[key])) {
+            errors.push(`mozblocklist.userSheet.credentials.${key}: must be a non-empty string`);
+          }
+        }
+        if (!Array.isArray(credentials.redirect_uris) || !credentials.redirect_uris.length) {
+          errors.push("mozblocklist.userSheet.credentials.redirect_uris: must be a non-empty list");
+        }
+      } else {
+        errors.push("mozblocklist.userSheet.credentials: must be the OAuth client credentials object");
+      }
+    } else {
+      errors.push("mozblocklist.userSheet: must be an object with sheetId, sheetRange and credentials");
+    }
+  }
+
+  if ("journal" in section && section.journal !== false && !isString(section.journal)) {
+    errors.push("mozblocklist.journal: must be a path or false");
+  }
+
+  return { errors, warnings };
+}
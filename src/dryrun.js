@@ -0,0 +1,141 @@
+/* This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ * Portions Copyright (C) Philipp Kewisch, 2020 */
+
+import { colored } from "./utils";
+
+const BMO_REST_URL = "https://bugzilla.mozilla.org/rest";
+const FAKE_BUG_ID = 9999999;
+
+// The status kinto-signer moves the collection to after the requested status was processed
+const STATUS_AFTER = {
+  "to-sign": "signed",
+  "to-rollback": "signed"
+};
+
+/**
+ * Print the request that would have been made.
+ *
+ * @param {string} method       The HTTP method or action.
+ * @param {string} target       The URL or description of the target.
+ * @param {?object} body        The request body.
+ */
+function printRequest(method, target, body=null) {
+  let text = `[dry-run] ${method} ${target}`;
+  if (body) {
+    text += "\n" + JSON.stringify(body, null, 2).replace(/^/mg, "\t");
+  }
+  console.warn(colored(colored.YELLOW, text));
+}
+
+/**
+ * Replace the mutating methods of a kinto client with ones that print the request and return
+ * fake results.
+ *
+ * @param {BlocklistKintoClient} kinto    The kinto client to change.
+ * @param {object} state                  The fake state shared between the kinto clients.
+ */
+function installKintoDryRun(kinto, state) {
+  let recordsUrl = () => `${kinto.remote_writer}/buckets/staging/collections/addons/records`;
+
+  kinto.createBlocklistEntry = async (guid, bug, name, reason, versionRange) => {
+    let data = {
+      guid: guid,
+      prefs: [],
+      details: {
+        bug: `https://bugzilla.mozilla.org/show_bug.cgi?id=${bug}`,
+        name: name,
+        why: reason
+      },
+      enabled: true,
+      versionRange: versionRange
+    };
+    printRequest("POST", recordsUrl(), { data });
+
+    state.status = "work-in-progress";
+    return { data: { ...data, id: `dry-run-${++state.records}`, last_modified: Date.now() } };
+  };
+
+  kinto.updateBlocklistEntry = async (id, changes, lastModified) => {
+    printRequest("PATCH", `${recordsUrl()}/${id} (If-Match: "${lastModified}")`, { data: changes });
+
+    state.status = "work-in-progress";
+    return { data: { ...changes, id, last_modified: Date.now() } };
+  };
+
+  kinto.deleteBlocklistEntry = async (id, lastModified) => {
+    printRequest("DELETE", `${recordsUrl()}/${id} (If-Match: "${lastModified}")`);
+
+    state.status = "work-in-progress";
+    return { data: { id, deleted: true, last_modified: Date.now() } };
+  };
+
+  kinto.replaceBlocklistEntries = async (removeEntries, newEntries) => {
+    let published = [];
+    for (let entry of removeEntries) {
+      printRequest("DELETE", `${recordsUrl()}/${entry.id} (If-Match: "${entry.last_modified}")`);
+      published.push({ data: { id: entry.id, deleted: true } });
+    }
+    for (let entry of newEntries) {
+      printRequest("POST", recordsUrl(), { data: entry });
+      published.push({ data: { ...entry, id: `dry-run-${++state.records}` } });
+    }
+
+    state.status = "work-in-progress";
+    return { errors: [], conflicts: [], skipped: [], published };
+  };
+
+  kinto._updateCollectionStatus = async (status) => {
+    printRequest("PATCH", `${kinto.remote_writer}/buckets/staging/collections/addons`, { data: { status } });
+    state.status = STATUS_AFTER[status] || status;
+  };
+
+  let getBlocklistStatus = kinto.getBlocklistStatus.bind(kinto);
+  kinto.getBlocklistStatus = async () => {
+    return state.status || getBlocklistStatus();
+  };
+}
+
+/**
+ * Set up the dry run mode. All calls that would make changes to kinto, bugzilla, AMO or the user
+ * sheet print the request instead and return plausible fake results, so the interactive flows can
+ * be rehearsed.
+ *
+ * @param {Mozblocklist} mozblock         The blocklist instance to change.
+ */
+export function installDryRun(mozblock) {
+  let state = { status: null, records: 0 };
+  installKintoDryRun(mozblock.kinto, state);
+  installKintoDryRun(mozblock.kintoapprover, state);
+
+  mozblock.bugzilla.update = async (data) => {
+    printRequest("PUT", `${BMO_REST_URL}/bug/${data.ids.join(",")}`, data);
+    return { bugs: data.ids.map(id => ({ id, changes: {} })) };
+  };
+
+  mozblock.bugzilla.create = async (data) => {
+    printRequest("POST", `${BMO_REST_URL}/bug`, data);
+    return FAKE_BUG_ID;
+  };
+
+  mozblock.banUsers = async (userids) => {
+    printRequest("BAN", "AMO users", userids);
+  };
+
+  mozblock.disableAddonAndFiles = async (guids) => {
+    printRequest("DISABLE", "AMO add-ons and files", guids);
+    return [];
+  };
+
+  mozblock.usersheet.appendUserRows = async (rows) => {
+    printRequest("APPEND", `user sheet ${mozblock.usersheet.sheetRange}`, rows);
+    return { data: { updates: { updatedRange: `${mozblock.usersheet.sheetRange}!dry-run` } } };
+  };
+
+  if (mozblock.journal) {
+    mozblock.journal.record = (command, data) => {
+      printRequest("JOURNAL", command, data);
+    };
+  }
+}
@@ -0,0 +1,218 @@
+/* This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ * Portions Copyright (C) Philipp Kewisch, 2020 */
+
+import { expandGuidRegex, isGuidRegex } from "./utils";
+
+/**
+ * The fields available for the tabular list formats. Each value function receives the guid, the
+ * blocklist entry and the version range of the row.
+ */
+export const LIST_FIELDS = {
+  guid: { type: "string", value: guid => guid },
+  regex: { type: "number", value: guid => (isGuidRegex(guid) ? 1 : 0) },
+  id: { type: "string", value: (guid, entry) => entry.id },
+  name: { type: "string", value: (guid, entry) => entry.details.name },
+  reason: { type: "string", value: (guid, entry) => entry.details.why },
+  bug: { type: "string", value: (guid, entry) => entry.details.bug },
+  created: {
+    type: "string",
+    value: (guid, entry) => entry.details.created || new Date(entry.last_modified).toISOString()
+  },
+  severity: { type: "number", value: (guid, entry, range) => range.severity },
+  minVersion: { type: "string", value: (guid, entry, range) => range.minVersion },
+  maxVersion: { type: "string", value: (guid, entry, range) => range.maxVersion },
+  multirange: { type: "number", value: (guid, entry) => (entry.versionRange.length > 1 ? 1 : 0) },
+  enabled: { type: "number", value: (guid, entry) => (entry.enabled ? 1 : 0) },
+};
+
+export const DEFAULT_LIST_FIELDS = ["guid", "regex", "bug", "created", "severity", "minVersion", "maxVersion"];
+
+/**
+ * Create the rows for the tabular list formats. Regexes that can't be split into guids will be
+ * used as is.
+ *
+ * @param {Iterable<Array>} guidEntries   Pairs of guid and blocklist entry.
+ * @param {string[]} fields               The field names from LIST_FIELDS.
+ * @param {object} options                The options for this function.
+ * @param {boolean} options.perRange      If true, there is one row per guid and version range.
+ *                                          Otherwise one row per guid with the first version
+ *                                          range, see the multirange field.
+ * @return {Array<Array>}                 The rows with one value per field.
+ */
+export function createRows(guidEntries, fields, { perRange=true }={}) {
+  let rows = [];
+  for (let [guid, entry] of guidEntries) {
+    let ranges = entry.versionRange.length ? entry.versionRange : [{}];
+    for (let range of (perRange ? ranges : ranges.slice(0, 1))) {
+      rows.push(fields.map(field => LIST_FIELDS[field].value(guid, entry, range)));
+    }
+  }
+  return rows;
+}
+
+/**
+ * Expand the blocklist records into pairs of guid and blocklist entry, for use with createRows.
+ * Regexes that can't be split into guids are used as is, isGuidRegex tells them apart.
+ *
+ * @param {object[]} records              The blocklist records.
+ * @return {Array<Array>}                 Pairs of guid and blocklist entry.
+ */
+export function expandRecords(records) {
+  return records.reduce((acc, entry) => {
+    let guids = expandGuidRegex(entry.guid);
+    for (let guid of (guids.length ? guids : [entry.guid])) {
+      acc.push([guid, entry]);
+    }
+    return acc;
+  }, []);
+}
+
+/**
+ * Format rows as CSV, with a header line.
+ *
+ * @param {string[]} fields               The field names.
+ * @param {Array<Array>} rows             The rows to format.
+ * @return {string}                       The CSV output.
+ */
+export function formatCSV(fields, rows) {
+  let escapeCSV = (value) => {
+    let str = value === null || value === undefined ? "" : String(value);
+    return /[",\r\n]/.test(str) ? `"${str.replace(/"/g, "\"\"")}"` : str;
+  };
+
+  return [fields, ...rows].map(row => row.map(escapeCSV).join(",")).join("\n");
+}
+
+/**
+ * Format rows as newline delimited JSON, one object per row.
+ *
+ * @param {string[]} fields               The field names.
+ * @param {Array<Array>} rows             The rows to format.
+ * @return {string}                       The NDJSON output.
+ */
+export function formatNDJSON(fields, rows) {
+  return rows.map((row) => {
+    let obj = {};
+    fields.forEach((field, idx) => {
+      obj[field] = row[idx];
+    });
+    return JSON.stringify(obj);
+  }).join("\n");
+}
+
+/**
+ * Format rows as a markdown table.
+ *
+ * @param {string[]} fields               The field names.
+ * @param {Array<Array>} rows             The rows to format.
+ * @return {string}                       The markdown table.
+ */
+export function formatMarkdown(fields, rows) {
+  let escapeTable = (value) => {
+    let str = value === null || value === undefined ? "" : String(value);
+    return str.replace(/\\/g, "\\\\").replace(/\|/g, "\\|").replace(/\n/g, " ");
+  };
+
+  let lines = [
+    "| " + fields.join(" | ") + " |",
+    "|" + fields.map(() => "-").join("|") + "|",
+    ...rows.map(row => "| " + row.map(escapeTable).join(" | ") + " |")
+  ];
+  return lines.join("\n");
+}
+
+export const DEFAULT_SQL_FIELDS = ["guid", "created", "bug", "severity", "minVersion", "maxVersion", "multirange"];
+
+// The number of rows per INSERT statement, to keep statements at a reasonable size
+const SQL_CHUNK_SIZE = 1000;
+
+const SQL_TYPES = {
+  mysql: { string: "TEXT", number: "INT" },
+  postgres: { string: "TEXT", number: "INTEGER" },
+  bigquery: { string: "STRING", number: "INT64" },
+};
+
+/**
+ * Quote an identifier like a column name for the SQL dialect.
+ *
+ * @param {string} name                   The identifier to quote.
+ * @param {string} dialect                The SQL dialect: mysql, postgres or bigquery.
+ * @return {string}                       The quoted identifier.
+ */
+export function sqlIdentifier(name, dialect) {
+  let quote = dialect == "postgres" ? "\"" : "`";
+  return quote + name.split(quote).join(quote + quote) + quote;
+}
+
+/**
+ * Create an escaped literal for the SQL dialect.
+ *
+ * @param {*} value                       The value to convert.
+ * @param {string} type                   The field type, string or number.
+ * @param {string} dialect                The SQL dialect: mysql, postgres or bigquery.
+ * @return {string}                       The SQL literal.
+ */
+export function sqlLiteral(value, type, dialect) {
+  if (value === null || value === undefined) {
+    return "NULL";
+  } else if (type == "number") {
+    return String(Number(value));
+  } else if (dialect == "postgres") {
+    // Standard conforming strings, only quotes need to be escaped
+    return "'" + String(value).replace(/'/g, "''") + "'";
+  } else {
+    // MySQL and BigQuery both use backslash escapes
+    let escaped = String(value)
+      .replace(/\\/g, "\\\\")
+      .replace(/'/g, "\\'")
+      .replace(/\n/g, "\\n")
+      .replace(/\r/g, "\\r");
+    return "'" + escaped + "'";
+  }
+}
+
+/**
+ * Format rows as SQL statements for the dialect. Without a table name the result is a single query
+ * returning the rows, otherwise a temporary table is created and filled in chunks.
+ *
+ * @param {string[]} fields               The field names from LIST_FIELDS.
+ * @param {Array<Array>} rows             The rows to format.
+ * @param {object} options                The options for this function.
+ * @param {string} options.dialect        The SQL dialect: mysql, postgres or bigquery.
+ * @param {?string} options.table         The name of the temporary table to create.
+ * @return {string}                       The SQL statements.
+ */
+export function formatSQL(fields, rows, { dialect="mysql", table=null }) {
+  let types = fields.map(field => LIST_FIELDS[field].type);
+  let columns = fields.map(field => sqlIdentifier(field, dialect));
+  let tuple = row => "(" + row.map((value, idx) => sqlLiteral(value, types[idx], dialect)).join(", ") + ")";
+
+  if (table) {
+    let tableName = sqlIdentifier(table, dialect);
+    let columnDefs = columns.map((column, idx) => `${column} ${SQL_TYPES[dialect][types[idx]]}`);
+    let create = dialect == "bigquery" ? "CREATE TEMP TABLE" : "CREATE TEMPORARY TABLE";
+    let statements = [`${create} ${tableName} (${columnDefs.join(", ")});`];
+
+    for (let i = 0; i < rows.length; i += SQL_CHUNK_SIZE) {
+      let chunk = rows.slice(i, i + SQL_CHUNK_SIZE);
+      statements.push(`INSERT INTO ${tableName} (${columns.join(", ")}) VALUES\n` + chunk.map(tuple).join(",\n") + ";");
+    }
+    return statements.join("\n");
+  }
+
+  if (!rows.length) {
+    return "-- No matching guids";
+  }
+
+  if (dialect == "bigquery") {
+    // Each element needs to be a STRUCT, a single value in parentheses would just be a scalar
+    let structType = fields.map((field, idx) => `${field} ${SQL_TYPES.bigquery[types[idx]]}`).join(", ");
+    return `SELECT * FROM UNNEST(ARRAY<STRUCT<${structType}>>[\n` + rows.map(row => "STRUCT" + tuple(row)).join(",\n") + "\n])";
+  } else {
+    // MySQL needs the ROW keyword for table value constructors, available since MySQL 8.0.19
+    let valueRow = dialect == "mysql" ? row => "ROW" + tuple(row) : tuple;
+    return "SELECT * FROM (VALUES\n" + rows.map(valueRow).join(",\n") + `\n) AS blocklist (${columns.join(", ")})`;
+  }
+}
@@ -0,0 +1,91 @@
+/* This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ * Portions Copyright (C) Philipp Kewisch, 2020 */
+
+import fs from "fs";
+import path from "path";
+import os from "os";
+
+/**
+ * An entry in the journal. Only the fields relevant to the command are set.
+ *
+ * @typedef {object} JournalEntry
+ * @property {string} timestamp             The ISO date of the change.
+ * @property {string} user                  The local user that made the change.
+ * @property {string} command               The command that made the change.
+ * @property {string[]} [records]           The ids of the kinto records changed.
+ * @property {string[]} [bugs]              The ids of the bugs changed.
+ * @property {string[]} [users]             The ids of the AMO users banned.
+ * @property {string[]} [addons]            The guids of the add-ons disabled.
+ * @property {string[]} [guids]             The guids unblocked.
+ * @property {string[]} [deleted]           The ids of the kinto records deleted when rejecting.
+ */
+
+/**
+ * An append-only journal of the changes made, one JSON object per line.
+ */
+export default class BlocklistJournal {
+  /**
+   * Construct the journal.
+   *
+   * @param {?string} filename      The journal file, defaults to ~/.local/share/mozblocklist/journal.jsonl.
+   */
+  constructor(filename=null) {
+    this.filename = filename || path.join(process.env.XDG_DATA_HOME || path.join(os.homedir(), ".local", "share"), "mozblocklist", "journal.jsonl");
+  }
+
+  /**
+   * Append an entry to the journal.
+   *
+   * @param {string} command        The command that made the change.
+   * @param {object} data           The records, bugs, users and addons changed.
+   */
+  record(command, data={}) {
+    let entry = {
+      timestamp: new Date().toISOString(),
+      user: os.userInfo().username,
+      command: command,
+      ...data
+    };
+
+    fs.mkdirSync(path.dirname(this.filename), { recursive: true });
+    fs.appendFileSync(this.filename, JSON.stringify(entry) + "\n");
+  }
+
+  /**
+   * Read all entries from the journal.
+   *
+   * @return {JournalEntry[]}       The journal entries, oldest first.
+   */
+  read() {
+    let text;
+    try {
+      text = fs.readFileSync(this.filename, "utf-8");
+    } catch (e) {
+      if (e.code == "ENOENT") {
+        return [];
+      }
+      throw e;
+    }
+
+    return text.split("\n").filter(Boolean).map(line => JSON.parse(line));
+  }
+
+  /**
+   * Search the journal.
+   *
+   * @param {object} options                The options for this search.
+   * @param {?string} options.query         Only entries containing this text in any field.
+   * @param {?string} options.command       Only entries for this command.
+   * @param {?Date} options.since           Only entries after this date.
+   * @return {JournalEntry[]}               The matching journal entries, oldest first.
+   */
+  search({ query=null, command=null, since=null }) {
+    return this.read().filter((entry) => {
+      return (!command || entry.command == command) &&
+        (!since || new Date(entry.timestamp) >= since) &&
+        (!query || Object.values(entry).some(value => String(value).includes(query)));
+    });
+  }
+}
@@ -11,8 +11,8 @@ import { URL, parse as urlparse } from "url";
 import { waitForInput } from "./utils";
 
 export class MemoryAuthStore {
-  constructor() {
-    this.auth = null;
+  constructor(auth=null) {
+    this.auth = auth;
   }
 
   async get() {
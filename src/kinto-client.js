@@ -5,8 +5,10 @@
 
 import KintoClient from "kinto-http";
 import { HARD_BLOCK } from "./constants";
+import { isGuidRegex, parseGuidRegex } from "./utils";
 import { requiresVPN } from "amolib";
 import { KintoBasicAuth, MemoryAuthStore } from "./kinto-auth";
+import BlocklistCache from "./cache";
 
 /**
  * Blocklisting specific version of the KintoClient.
@@ -15,7 +17,8 @@ export default class BlocklistKintoClient extends KintoClient {
   /**
    * Construct the kinto client. Remote and options are the same as for KintoClient. There is an
    * additional option `writer` which is the hostname of the settings-writer instance. When
-   * authorize() is called, the client will automatically switch to it.
+   * authorize() is called, the client will automatically switch to it. The `cache` option takes a
+   * cache for the addons collection, if `offline` is set only the cache will be used.
    *
    * @param {string} remote     The remote URL.
    * @param {object} options    The options object.
@@ -27,6 +30,12 @@ export default class BlocklistKintoClient extends KintoClient {
     let auth = options.auth;
     delete options.auth;
 
+    let cache = options.cache;
+    delete options.cache;
+
+    let offline = options.offline;
+    delete options.offline;
+
     super(remote, options);
 
     if (writer) {
@@ -34,11 +43,29 @@ export default class BlocklistKintoClient extends KintoClient {
     }
     this.remote_reader = remote;
     this.auth = auth || new KintoBasicAuth(new MemoryAuthStore());
+    this.cache = cache || null;
+    this.offline = !!offline;
 
     let request = this.http.request.bind(this.http);
     this.http.request = this.httpRequest.bind(this, request);
   }
 
+  /**
+   * Create a client for a different kinto host. The same kind of authentication will be used, but
+   * the credentials are kept in memory so they don't replace the ones for the main host.
+   *
+   * @param {string} host                   The hostname of the kinto instance.
+   * @return {BlocklistKintoClient}         The kinto client for the host.
+   */
+  forHost(host) {
+    let remote = `https://${host}/v1`;
+    let AuthClass = this.auth.constructor;
+    return new BlocklistKintoClient(remote, {
+      writer: remote,
+      auth: new AuthClass(new MemoryAuthStore())
+    });
+  }
+
   async httpRequest(origRequest, url, request = { headers: {} }, options = { retry: 0 }) {
     let response;
     try {
@@ -91,6 +118,43 @@ export default class BlocklistKintoClient extends KintoClient {
     this.authorized = true;
   }
 
+  /**
+   * Load the raw records from the addons collection, without any processing. If a cache is set,
+   * only the changes since the last call are retrieved.
+   *
+   * @param {string} bucket                         The bucket to load the records from.
+   * @return {object[]}                             The blocklist records.
+   */
+  async loadBlocklistRecords(bucket="blocklists") {
+    // The public blocklist is a mirror of the writer, the other buckets are only on the writer
+    let host = new URL(bucket == "blocklists" ? this.remote_reader : this.remote_writer || this.remote_reader).host;
+
+    if (this.offline) {
+      let cached = this.cache && this.cache.load(host, bucket);
+      if (!cached) {
+        throw new Error(`The ${bucket} bucket for ${host} is not cached, run without --offline first`);
+      }
+      return cached.records;
+    }
+
+    if (bucket != "blocklists") {
+      await this.authorize();
+    }
+
+    let collection = this.bucket(bucket).collection("addons");
+    if (!this.cache) {
+      let addons = await collection.listRecords();
+      return addons.data;
+    }
+
+    let cached = this.cache.load(host, bucket);
+    let addons = await collection.listRecords(cached ? { since: `"${cached.timestamp}"` } : {});
+    let records = cached ? BlocklistCache.applyChanges(cached.records, addons.data) : addons.data;
+
+    this.cache.save(host, bucket, { timestamp: addons.last_modified, records });
+    return records;
+  }
+
   /**
    * Load the blocklist from the blocklists/addons collection.
    *
@@ -98,23 +162,18 @@ export default class BlocklistKintoClient extends KintoClient {
    * @return  {[BlocklistMap, BlocklistRegexMap]}   The guids and regexes.
    */
   async loadBlocklist(bucket="blocklists") {
-    if (bucket != "blocklists") {
-      await this.authorize();
-    }
-    let addons = await this.bucket(bucket).collection("addons").listRecords();
+    let records = await this.loadBlocklistRecords(bucket);
 
     let guids = new Map();
     let regexes = new Map();
 
-    for (let entry of addons.data) {
+    for (let entry of records) {
       if (!entry.details.created) {
         entry.details.created = new Date(entry.last_modified).toISOString();
       }
 
-      if (entry.guid[0] == "/") {
-        regexes.set(new RegExp(entry.guid.substring(1, entry.guid.length - 1)), entry);
-      } else if (entry.guid[0] == "^") {
-        regexes.set(new RegExp(entry.guid), entry);
+      if (isGuidRegex(entry.guid)) {
+        regexes.set(parseGuidRegex(entry.guid), entry);
       } else {
         guids.set(entry.guid, entry);
       }
@@ -130,12 +189,11 @@ export default class BlocklistKintoClient extends KintoClient {
    * @param {string} bug        The ID of the bug for this entry.
    * @param {string} name       The name of this block.
    * @param {string} reason     The reason for blocking.
-   * @param {number} severity   The severity of the block, defaults to HARD_BLOCK.
-   * @param {string} minVersion The minimum version to block, defaults to 0 (first).
-   * @param {string} maxVersion The maximum version to block, defaults to * (all).
+   * @param {object[]} versionRange   The version ranges with severity, minVersion and maxVersion.
+   *                                    Defaults to a hard block of all versions.
    * @return {object}           The blocklist entry from the server.
    */
-  async createBlocklistEntry(guid, bug, name, reason, severity=HARD_BLOCK, minVersion="0", maxVersion="*") {
+  async createBlocklistEntry(guid, bug, name, reason, versionRange=[{ severity: HARD_BLOCK, minVersion: "0", maxVersion: "*" }]) {
     await this.authorize();
 
     let entry = await this.bucket("staging", { safe: true }).collection("addons").createRecord({
@@ -147,12 +205,85 @@ export default class BlocklistKintoClient extends KintoClient {
         why: reason
       },
       enabled: true,
-      versionRange: [{ severity, minVersion, maxVersion }]
+      versionRange: versionRange
     });
 
     return entry;
   }
 
+  /**
+   * Update an existing blocklist entry in the staging bucket. Only the passed fields are changed.
+   *
+   * @param {string} id             The id of the blocklist entry.
+   * @param {object} changes        The fields to change, for example the guid.
+   * @param {number} lastModified   The last_modified value of the entry, to avoid conflicts.
+   * @return {object}               The blocklist entry from the server.
+   */
+  async updateBlocklistEntry(id, changes, lastModified) {
+    await this.authorize();
+
+    return this.bucket("staging", { safe: true }).collection("addons").updateRecord(
+      { ...changes, id },
+      { patch: true, last_modified: lastModified }
+    );
+  }
+
+  /**
+   * Delete a blocklist entry from the staging bucket.
+   *
+   * @param {string} id             The id of the blocklist entry.
+   * @param {number} lastModified   The last_modified value of the entry, to avoid conflicts.
+   * @return {object}               The deleted record from the server.
+   */
+  async deleteBlocklistEntry(id, lastModified) {
+    await this.authorize();
+
+    return this.bucket("staging", { safe: true }).collection("addons").deleteRecord(id, { last_modified: lastModified });
+  }
+
+  /**
+   * Delete and create blocklist entries in the staging bucket in a single batch.
+   *
+   * @param {object[]} removeEntries    The blocklist entries to delete.
+   * @param {object[]} newEntries       The blocklist entries to create.
+   * @return {object}                   The aggregated batch results.
+   */
+  async replaceBlocklistEntries(removeEntries, newEntries) {
+    await this.authorize();
+
+    let collection = this.bucket("staging", { safe: true }).collection("addons");
+    let results = await collection.batch((batch) => {
+      for (let entry of removeEntries) {
+        batch.deleteRecord(entry.id, { last_modified: entry.last_modified });
+      }
+      for (let entry of newEntries) {
+        batch.createRecord(entry);
+      }
+    }, { aggregate: true });
+
+    if (results.errors.length || results.conflicts.length) {
+      throw new Error(`Failed to replace ${results.errors.length + results.conflicts.length} blocklist entries`);
+    }
+
+    return results;
+  }
+
+  /**
+   * Load the history of the addons collection in the staging bucket, oldest changes first.
+   *
+   * @return {object[]}             The history entries, with the record in target.data.
+   */
+  async loadBlocklistHistory() {
+    await this.authorize();
+
+    let history = await this.bucket("staging").listHistory({
+      filters: { resource_name: "record", collection_id: "addons" },
+      sort: "last_modified",
+      pages: Infinity
+    });
+    return history.data;
+  }
+
   async getBlocklistPreview() {
     return this.compareAddonCollection("blocklists-preview");
   }
@@ -236,4 +367,12 @@ export default class BlocklistKintoClient extends KintoClient {
     await this.ensureBlocklistState(["to-review"]);
     await this._updateCollectionStatus("work-in-progress");
   }
+
+  /**
+   * Discard all changes in the staging bucket, moving the status back to signed.
+   */
+  async rollbackBlocklist() {
+    await this.ensureBlocklistState(["work-in-progress", "to-review"]);
+    await this._updateCollectionStatus("to-rollback");
+  }
 }
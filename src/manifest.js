@@ -0,0 +1,145 @@
+/* This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ * Portions Copyright (C) Philipp Kewisch, 2020 */
+
+import fs from "fs";
+import path from "path";
+import yaml from "js-yaml";
+
+import { HARD_BLOCK } from "./constants";
+import { parseSeverity, parseVersionRange } from "./utils";
+
+const ACTIONS = ["ban", "disable", "none"];
+
+/**
+ * A validated block manifest, describing everything needed to create a block without prompting.
+ *
+ * @typedef {object} BlockManifest
+ * @property {?number} bug                  The bug id, or null to create a new bug.
+ * @property {string} name                  The name of the block.
+ * @property {?string} canned               The key of the canned reason, if one was used.
+ * @property {?object} reason               The custom reason with kinto and bugzilla keys.
+ * @property {object[]} versionRange        The version ranges of the block.
+ * @property {string} action                What to do with the add-ons: ban, disable or none.
+ * @property {?string} additionalInfo       Additional info for a new bug.
+ * @property {string[]} guids               The guids to block.
+ */
+
+/**
+ * Load a block manifest from a JSON or YAML file and validate it.
+ *
+ * @param {string} filename             The path to the manifest file.
+ * @param {object} canned               The canned reasons from the configuration.
+ * @return {BlockManifest}              The validated manifest.
+ */
+export function loadManifest(filename, canned={}) {
+  let text = fs.readFileSync(filename, "utf-8");
+  let data;
+  try {
+    data = path.extname(filename) == ".json" ? JSON.parse(text) : yaml.safeLoad(text);
+  } catch (e) {
+    throw new Error(`Could not parse manifest ${filename}: ${e.message}`);
+  }
+
+  return validateManifest(data, canned, filename);
+}
+
+/**
+ * Validate the data of a block manifest. All problems are collected and thrown as one error.
+ *
+ * @param {object} data                 The parsed manifest data.
+ * @param {object} canned               The canned reasons from the configuration.
+ * @param {string} filename             The file name of the manifest, for error messages.
+ * @return {BlockManifest}              The validated manifest.
+ */
+export function validateManifest(data, canned={}, filename="manifest") {
+  if (!data || typeof data != "object" || Array.isArray(data)) {
+    throw new Error(`Invalid manifest ${filename}: expected an object`);
+  }
+
+  let errors = [];
+  let manifest = {
+    bug: null,
+    name: null,
+    canned: null,
+    reason: null,
+    versionRange: [],
+    action: data.action || "none",
+    additionalInfo: data.additionalInfo || null,
+    guids: []
+  };
+
+  if (data.bug == "new") {
+    manifest.bug = null;
+  } else if (Number.isInteger(data.bug) || /^\d+$/.test(data.bug)) {
+    manifest.bug = parseInt(data.bug, 10);
+  } else {
+    errors.push("bug must be a bug id or \"new\"");
+  }
+
+  if (typeof data.name == "string" && data.name.trim()) {
+    manifest.name = data.name.trim();
+  } else {
+    errors.push("name is required");
+  }
+
+  if (typeof data.reason == "string") {
+    if (canned.hasOwnProperty(data.reason) && canned[data.reason].kinto && canned[data.reason].bugzilla) {
+      manifest.canned = data.reason;
+    } else {
+      errors.push(`reason ${data.reason} is not a valid canned reason, use one of ${Object.keys(canned).join(",") || "<none configured>"}`);
+    }
+  } else if (data.reason && typeof data.reason.kinto == "string" && typeof data.reason.bugzilla == "string") {
+    manifest.reason = { kinto: data.reason.kinto, bugzilla: data.reason.bugzilla };
+  } else {
+    errors.push("reason must be a canned reason or an object with kinto and bugzilla keys");
+  }
+
+  let severity = HARD_BLOCK;
+  if (data.severity) {
+    severity = parseSeverity(String(data.severity));
+    if (!severity) {
+      errors.push(`severity ${data.severity} must be either hard or soft`);
+    }
+  }
+
+  let ranges = data.versionRange || ["0:*"];
+  if (Array.isArray(ranges) && ranges.length) {
+    for (let range of ranges) {
+      try {
+        if (typeof range == "string") {
+          manifest.versionRange.push(parseVersionRange(range, severity || HARD_BLOCK));
+        } else if (!range || range.minVersion == null || range.maxVersion == null) {
+          errors.push("version ranges need a minVersion and maxVersion");
+        } else if (typeof range.minVersion != "string" || typeof range.maxVersion != "string") {
+          // YAML reads unquoted versions as numbers, turning 1.10 into 1.1
+          errors.push(`version range ${range.minVersion}:${range.maxVersion} must use quoted strings for minVersion and maxVersion, for example "1.10"`);
+        } else {
+          let rangeSeverity = range.severity ? String(range.severity) : "";
+          manifest.versionRange.push(parseVersionRange(`${range.minVersion}:${range.maxVersion}:${rangeSeverity}`, severity || HARD_BLOCK));
+        }
+      } catch (e) {
+        errors.push(e.message);
+      }
+    }
+  } else {
+    errors.push("versionRange must be a non-empty list of version ranges");
+  }
+
+  if (!ACTIONS.includes(manifest.action)) {
+    errors.push(`action must be one of ${ACTIONS.join(",")}`);
+  }
+
+  if (Array.isArray(data.guids) && data.guids.length && data.guids.every(guid => typeof guid == "string")) {
+    manifest.guids = data.guids.map(guid => guid.trim()).filter(Boolean);
+  } else {
+    errors.push("guids must be a non-empty list of guids");
+  }
+
+  if (errors.length) {
+    throw new Error(`Invalid manifest ${filename}:\n\t` + errors.join("\n\t"));
+  }
+
+  return manifest;
+}
@@ -0,0 +1,70 @@
+/* This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ * Portions Copyright (C) Philipp Kewisch, 2020 */
+
+import { expandGuidRegex } from "./utils";
+
+/**
+ * The result of matching a guid against the blocklist.
+ *
+ * @typedef {object} GuidMatch
+ * @property {?object} entry                The blocklist entry that matched, preferring single
+ *                                            guid entries over regex entries.
+ * @property {?object} single               The single guid entry that matched, if any.
+ * @property {RegExp[]} regexes             The regexes that matched, in blocklist order.
+ */
+
+/**
+ * Matches guids against the blocklist. Regexes that just enumerate guids are expanded into a hash
+ * map, so that only the regexes with real patterns need to be evaluated for each guid.
+ */
+export default class GuidMatcher {
+  /**
+   * Construct the matcher.
+   *
+   * @param {BlocklistMap} guids          The Map with guids and blocklist entry as
+   *                                        provided by loadBlocklist.
+   * @param {BlocklistRegexMap} regexes   The Map with regexes and blocklist entry as
+   *                                        provided by loadBlocklist.
+   */
+  constructor(guids, regexes) {
+    this.guids = guids;
+    this.regexes = regexes;
+    this.expanded = new Map();
+    this.patterns = [];
+    this.order = new Map();
+
+    for (let [regex, entry] of regexes.entries()) {
+      this.order.set(regex, this.order.size);
+
+      let expanded = entry.guid.startsWith("/") ? expandGuidRegex(entry.guid) : [];
+      if (expanded.length) {
+        for (let guid of expanded) {
+          if (!this.expanded.has(guid)) {
+            this.expanded.set(guid, []);
+          }
+          this.expanded.get(guid).push(regex);
+        }
+      } else {
+        this.patterns.push(regex);
+      }
+    }
+  }
+
+  /**
+   * Match a guid against the blocklist.
+   *
+   * @param {string} guid                 The guid to match.
+   * @return {GuidMatch}                  The matching entries.
+   */
+  match(guid) {
+    let regexmatches = (this.expanded.get(guid) || []).concat(this.patterns.filter(re => guid.match(re)));
+    regexmatches.sort((a, b) => this.order.get(a) - this.order.get(b));
+
+    let single = this.guids.get(guid) || null;
+    let entry = single || (regexmatches.length ? this.regexes.get(regexmatches[0]) : null);
+
+    return { entry, single, regexes: regexmatches };
+  }
+}
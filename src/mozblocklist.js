@@ -4,10 +4,16 @@
  * Portions Copyright (C) Philipp Kewisch, 2019 */
 
 import { SingleBar, Presets } from "cli-progress";
-import { waitForStdin, waitForInput, waitForValidInput, bold, colored, getSeverity, createGuidStrings, expandGuidRegex, pluralForm } from "./utils";
-import { COMMENT_CHAR, HARD_BLOCK, DECIMAL_FORMAT, HIGH_NUMBER_OF_USERS } from "./constants";
+import { waitForStdin, waitForInput, waitForValidInput, bold, colored, getSeverity, parseSeverity, isAllVersions, formatVersionRanges, compareVersions, createGuidStrings, expandGuidRegex, isGuidRegex, parseGuidRegex, pluralForm, renderReason, canonicalJSON } from "./utils";
+import { COMMENT_CHAR, SOFT_BLOCK, HARD_BLOCK, DECIMAL_FORMAT, HIGH_NUMBER_OF_USERS, REGEX_BLOCK_MAXLEN } from "./constants";
 import { ADDON_STATUS, DjangoUserModels, AddonAdminPage, getConfig, detectIdType } from "amolib";
 
+import GuidMatcher from "./matcher";
+import { compileDescription, parseBlocklistBugText } from "./bugform";
+import { DEFAULT_LIST_FIELDS, DEFAULT_SQL_FIELDS, createRows, expandRecords, formatCSV, formatNDJSON, formatMarkdown, formatSQL } from "./formats";
+
+import fs from "fs";
+
 /**
  * A map between a string guid and its blocklist data.
  *
@@ -21,13 +27,11 @@ import { ADDON_STATUS, DjangoUserModels, AddonAdminPage, getConfig, detectIdType
  */
 
 /**
- * Blocklist bug data.
+ * A reviewer for the blocklist entries.
  *
- * @typedef {object} BlocklistBugData
- * @property {integer} id                   The bug id.
- * @property {string} name                  The extension name, from the block.
- * @property {string} reason                The first line of the reason field.
- * @property {string[]} guids               The array of guids to block.
+ * @typedef {object} Reviewer
+ * @property {string} name            The reviewer's name, used in the bug comment.
+ * @property {string} email           The reviewer's bugzilla email.
  */
 
 /**
@@ -39,7 +43,7 @@ import { ADDON_STATUS, DjangoUserModels, AddonAdminPage, getConfig, detectIdType
  */
 
 export default class Mozblocklist {
-  constructor({ kinto, kintoapprover, bugzilla, redash, redash_telemetry, amo, usersheet, globalOpts }) {
+  constructor({ kinto, kintoapprover, bugzilla, redash, redash_telemetry, amo, usersheet, journal, globalOpts }) {
     this.kinto = kinto;
     this.kintoapprover = kintoapprover;
     this.bugzilla = bugzilla;
@@ -47,9 +51,29 @@ export default class Mozblocklist {
     this.redash_telemetry = redash_telemetry;
     this.amo = amo;
     this.usersheet = usersheet;
+    this.journal = journal || null;
     this.globalOpts = globalOpts;
   }
 
+  /**
+   * Record a change in the journal, if one is configured. The remote changes have already been made
+   * at this point, so failing to write the journal only warns instead of interrupting the command.
+   *
+   * @param {string} command        The command that made the change.
+   * @param {object} data           The records, bugs, users and addons changed.
+   */
+  recordJournal(command, data) {
+    if (!this.journal) {
+      return;
+    }
+
+    try {
+      this.journal.record(command, data);
+    } catch (e) {
+      console.warn(colored(colored.YELLOW, `Warning: Could not write to the journal ${this.journal.filename}: ${e.message}`));
+    }
+  }
+
   /**
    * Reads guids from an array of lines, skipping empty lines or those commented with #.
    *
@@ -63,6 +87,7 @@ export default class Mozblocklist {
   readGuidData(lines, guids, regexes) {
     let existing = new Map();
     let newguids = new Set();
+    let matcher = new GuidMatcher(guids, regexes);
 
     for (let line of lines) {
       let guid = line.trim();
@@ -70,10 +95,9 @@ export default class Mozblocklist {
         continue;
       }
 
-      let regexmatches = [...regexes.keys()].filter(re => guid.match(re));
+      let { entry, single, regexes: regexmatches } = matcher.match(guid);
 
-      if (guids.has(guid)) {
-        let entry = guids.get(guid);
+      if (single) {
         if (regexmatches.length) {
           console.error(`Warning: ${guid} appears in a single and a regex block: ${regexmatches}`);
         }
@@ -82,7 +106,6 @@ export default class Mozblocklist {
         if (regexmatches.length > 1) {
           console.error(`Warning: ${guid} appears in more than one regex block: ${regexmatches}`);
         }
-        let entry = regexes.get(regexmatches[0]);
         existing.set(guid, entry);
       } else {
         newguids.add(guid);
@@ -92,87 +115,41 @@ export default class Mozblocklist {
     return { existing, newguids };
   }
 
-  /**
-   * Create the markdown description for new blocklisting bugs.
-   *
-   * @param {string} name                 The extension name.
-   * @param {string} versions             The version range(s).
-   * @param {string} reason               The reason to block.
-   * @param {string[]} guids              An array of guids to block.
-   * @param {?string} additionalInfo      Additional information for the bug.
-   * @param {?string} platformVersions    The platform version range.
-   * @return {string}                     The markdown description.
-   */
-  compileDescription(name, versions, reason, guids, additionalInfo=null, platformVersions="<all platforms>") {
-    /**
-     * Removes backticks from the start of each line for use in a backticked string.
-     *
-     * @param {string} str    Input string.
-     * @return {string}       The removed backtick string.
-     */
-    function backtick(str) {
-      return str.replace(/^\s*```/mg, "").trim();
-    }
-
-    /**
-     * Replaces links in the string with hxxp:// links, except for AMO links.
-     *
-     * @param {string} str    Input string.
-     * @return {string}       The sanitized string.
-     */
-    function unlink(str) {
-      return str.replace(/http(s?):\/\/(?!(reviewers\.)?addons.mozilla.org)/g, "hxxp$1://");
-    }
-
-    /**
-     * Create a markdown table with an empty header based on the array. The array is an array of rows.
-     * Each row is an array of columns.
-     *
-     * @param {Array<string[]>} arr        Array of cells.
-     * @return {string}                    The markdown table.
-     */
-    function table(arr) {
-      function escapeTable(str) { // eslint-disable-line require-jsdoc
-        return str.replace(/\\/g, "\\\\").replace(/\|/g, "\\|");
-      }
-      return "| | |\n|-|-|\n|" + arr.map((row) => {
-        return row.map(escapeTable).join("|");
-      }).join("|\n|") + "|\n";
-    }
-
-    let descr = table([
-      ["Extension name", name],
-      ["Extension versions affected", versions],
-      ["Platforms affected", platformVersions],
-    ]);
-
-    descr += "\n### Reason\n" + unlink(reason);
-    descr += "\n\n### Extension GUIDs\n```\n" + backtick(guids.join("\n")) + "\n```";
-
-    if (additionalInfo) {
-      descr += "\n\n### Additional Information\n" + unlink(additionalInfo.trim());
-    }
-
-    return descr;
-  }
-
   /**
    * Display the blocklist in various formats.
    *
-   * @param {string} format           The format, json or sql.
-   * @param {boolean} loadAllGuids    For the SQL format, load guids from the AMO database
-   *                                    instead of stdin.
-   * @param {string} bucket           The bucket to read from
-   *                                    (staging/blocklists-preview/blocklists).
+   * @param {object} options                  The options for this function.
+   * @param {string} options.format           The format: json, sql, csv, ndjson, markdown or guids.
+   * @param {boolean} options.loadAllGuids    For the SQL format, load guids from the AMO database
+   *                                            instead of stdin.
+   * @param {string} options.bucket           The bucket to read from
+   *                                            (staging/blocklists-preview/blocklists).
+   * @param {?Array<string>} options.fields   The fields for the tabular formats, defaults depend on
+   *                                            the format.
+   * @param {string} options.dialect          For the SQL format, the dialect to use.
+   * @param {?string} options.table           For the SQL format, the temporary table to create.
    */
-  async displayBlocklist(format="json", loadAllGuids=false, bucket="blocklists") {
+  async displayBlocklist({ format="json", loadAllGuids=false, bucket="blocklists", fields=null, dialect="mysql", table=null }) {
     if (format == "json") {
       console.warn("Loading blocklist...");
-      if (bucket != "blocklists") {
-        await this.kinto.authorize();
+      let records = await this.kinto.loadBlocklistRecords(bucket);
+      console.log(JSON.stringify({ data: records }, null, 2));
+    } else if (format == "guids") {
+      console.warn("Loading blocklist...");
+      let records = await this.kinto.loadBlocklistRecords(bucket);
+      let guids = new Set(expandRecords(records).map(([guid]) => guid));
+      let regexes = [...guids].filter(isGuidRegex);
+      if (regexes.length) {
+        console.warn(`Skipping ${regexes.length} ${pluralForm(regexes.length, "regex;regexes")} that can't be split into guids`);
       }
-      let addons = await this.kinto.bucket(bucket).collection("addons").listRecords();
-      console.log(JSON.stringify(addons, null, 2));
+      console.log([...guids].filter(guid => !isGuidRegex(guid)).join("\n"));
+    } else if (["csv", "ndjson", "markdown"].includes(format)) {
+      console.warn("Loading blocklist...");
+      let records = await this.kinto.loadBlocklistRecords(bucket);
+      let listFields = fields || DEFAULT_LIST_FIELDS;
+      let rows = createRows(expandRecords(records), listFields);
+      let formatters = { csv: formatCSV, ndjson: formatNDJSON, markdown: formatMarkdown };
+      console.log(formatters[format](listFields, rows));
     } else if (format == "sql") {
       if (process.stdin.isTTY) {
         console.warn("Loading blocklist...");
@@ -181,6 +158,9 @@ export default class Mozblocklist {
 
       let data;
       if (loadAllGuids) {
+        if (this.globalOpts.offline) {
+          throw new Error("Loading all guids from AMO-DB is not possible offline");
+        }
         console.warn("Loading all guids from AMO-DB via redash...");
         data = await this.redash.queryAllIds();
       } else {
@@ -193,44 +173,70 @@ export default class Mozblocklist {
       console.warn("Applying blocklist entries to guids...");
 
       let { existing } = this.readGuidData(data, blockguids, blockregexes);
-      let all = "";
+      let sqlFields = fields || DEFAULT_SQL_FIELDS;
+      // Queries join on the guid, so keep one row per guid
+      let rows = createRows(existing.entries(), sqlFields, { perRange: false });
+      console.log(formatSQL(sqlFields, rows, { dialect, table }));
+    }
+  }
 
-      for (let [guid, entry] of existing.entries()) {
-        let range = entry.versionRange[0];
-        let multirange = entry.versionRange.length > 1 ? 1 : 0;
-        console.log(
-          `${all}SELECT "${guid}" AS guid, "${entry.details.created}" AS created, ` +
-          `"${entry.details.bug}" AS bug, ${range.severity} AS severity, ` +
-          `"${range.minVersion}" AS minVersion, "${range.maxVersion}" AS maxVersion, ` +
-          `${multirange} AS multirange`
-        );
-        if (!all) {
-          all = "UNION ALL ";
-        }
-      }
+  /**
+   * Pick the reviewers with the fewest open needinfo requests on bugzilla.
+   *
+   * @param {Reviewer[]} candidates     The reviewers to pick from.
+   * @param {number} count              The number of reviewers to pick.
+   * @return {Promise<Reviewer[]>}      The chosen reviewers.
+   */
+  async pickReviewers(candidates, count) {
+    let loads = await Promise.all(candidates.map(async (reviewer) => {
+      let bugs = await this.bugzilla.searchBugs([
+        ["f1", "requestees.login_name"], ["o1", "equals"], ["v1", reviewer.email],
+        ["f2", "flagtypes.name"], ["o2", "equals"], ["v2", "needinfo?"],
+        ["include_fields", "id"]
+      ]);
+      return { reviewer, needinfos: bugs.length };
+    }));
+
+    loads.sort((a, b) => a.needinfos - b.needinfos);
+    let chosen = loads.slice(0, count);
+
+    if (chosen.length < count) {
+      console.warn(`Only ${chosen.length} ${pluralForm(chosen.length, "reviewer is;reviewers are")} available`);
+    }
+    for (let { reviewer, needinfos } of chosen) {
+      console.warn(`Picked ${reviewer.name} <${reviewer.email}> with ${needinfos} open ${pluralForm(needinfos, "needinfo;needinfos")}`);
     }
+
+    return chosen.map(({ reviewer }) => reviewer);
   }
 
   /**
    * Send work in progress blocks to review.
    *
    * @param {object} options                    The options for this function.
-   * @param {string} options.reviewerName       The reviewer's name (e.g. First name).
-   * @param {string} options.reviewerEmail      The reviewer's email.
+   * @param {Reviewer[]} options.reviewers      The reviewers to request review from.
    * @param {string} options.showUsage          Show usage information.
    */
-  async reviewBlocklist({ reviewerName, reviewerEmail, showUsage }) {
+  async reviewBlocklist({ reviewers, showUsage }) {
     let pending = await this.displayPending({ compareWith: "staging", showUsage });
     if (!pending.data.length) {
       console.log("No blocks are in progress");
       return;
     }
-    let hasReviewer = this.bugzilla.authenticated && reviewerName && reviewerEmail;
-    let reviewFrom = hasReviewer ? " from " + reviewerName : "";
+    let hasReviewer = this.bugzilla.authenticated && reviewers.length > 0;
+    let reviewerNames = reviewers.map(reviewer => reviewer.name);
+    let reviewerList = reviewerNames.length > 1
+      ? reviewerNames.slice(0, -1).join(", ") + " and " + reviewerNames[reviewerNames.length - 1]
+      : reviewerNames.join("");
+    let reviewFrom = hasReviewer ? " from " + reviewerList : "";
     let answer = await waitForValidInput(`Ready to request review${reviewFrom}?`, "yn");
 
     if (answer == "y") {
       await this.kinto.reviewBlocklist();
+      this.recordJournal("review", {
+        records: pending.data.map(entry => entry.id),
+        bugs: [...new Set(pending.data.filter(entry => entry.details && entry.details.bug).map(entry => entry.details.bug.match(/id=(\d+)/)[1]))]
+      });
 
       if (hasReviewer) {
         let bugset = new Set();
@@ -244,20 +250,20 @@ export default class Mozblocklist {
         if (bugs.length < pending.data.length) {
           console.warn(`${pending.data.length - bugs.length} bugs already have a request for review`);
         }
-        console.warn(`Requesting review from ${reviewerName} for the following bugs:`);
+        console.warn(`Requesting review from ${reviewerList} for the following bugs:`);
         for (let bug of bugs) {
           console.warn("\thttps://bugzilla.mozilla.org/show_bug.cgi?id=" + bug);
         }
 
         await this.bugzilla.update({
           ids: bugs,
-          comment: { body: `The block has been staged. ${reviewerName}, can you review and push?` },
-          cc: { add: [reviewerEmail] },
-          flags: [{
+          comment: { body: `The block has been staged. ${reviewerList}, can you review and push?` },
+          cc: { add: reviewers.map(reviewer => reviewer.email) },
+          flags: reviewers.map(reviewer => ({
             name: "needinfo",
             status: "?",
-            requestee: reviewerEmail
-          }]
+            requestee: reviewer.email
+          }))
         });
       } else {
         let bugurls = pending.data.map(entry => entry.details.bug);
@@ -268,6 +274,268 @@ export default class Mozblocklist {
     }
   }
 
+  /**
+   * Collect the ids of the bugs the pending entries belong to.
+   *
+   * @param {object} pending                    The pending changes, with the entries in data.
+   * @param {Map<string, object>} signed        The signed blocklist entries by id.
+   * @return {string[]}                         The unique bug ids.
+   */
+  getPendingBugIds(pending, signed) {
+    let bugs = new Set();
+    for (let entry of pending.data) {
+      // Deleted entries don't have details, take the bug from the signed entry instead
+      let details = entry.deleted ? signed.has(entry.id) && signed.get(entry.id).details : entry.details;
+      if (details && details.bug) {
+        bugs.add(details.bug.match(/id=(\d+)/)[1]);
+      }
+    }
+    return [...bugs];
+  }
+
+  /**
+   * Discard the work in progress blocks, returning the staging bucket to the signed state. The bugs
+   * of the discarded entries will receive a comment.
+   *
+   * @param {object} options                    The options for this function.
+   * @param {?string} options.message           The reason for the rollback, for the bug comment.
+   */
+  async rollbackBlocklist({ message=null }) {
+    let pending = await this.displayPending({ compareWith: "staging" });
+    if (!pending.data.length) {
+      console.log("No blocks are in progress");
+      return;
+    }
+
+    console.log(bold(`The ${pluralForm(pending.data.length, "change;changes")} above will be discarded.`));
+    let answer = await waitForValidInput("Ready to roll back?", "yn");
+    if (answer != "y") {
+      return;
+    }
+
+    let signed = new Map((await this.kinto.loadBlocklistRecords("blocklists")).map(entry => [entry.id, entry]));
+    let bugs = this.getPendingBugIds(pending, signed);
+
+    await this.kinto.rollbackBlocklist();
+    this.recordJournal("rollback", { records: pending.data.map(entry => entry.id), bugs });
+    console.log("The staged changes have been discarded");
+
+    if (!bugs.length) {
+      return;
+    }
+
+    if (this.bugzilla.authenticated) {
+      let reason = message ? " " + message : "";
+      await this.bugzilla.update({
+        ids: bugs,
+        comment: { body: `The staged block changes have been rolled back and will not be pushed.${reason}` }
+      });
+      console.log(`Commented on the following ${pluralForm(bugs.length, "bug;bugs")}:`);
+    } else {
+      console.warn("You don't have a bugzilla API key configured. Set one in ~/.amorc" +
+                   " or visit these bugs manually:");
+    }
+
+    for (let bug of bugs) {
+      console.log("\thttps://bugzilla.mozilla.org/show_bug.cgi?id=" + bug);
+    }
+  }
+
+  /**
+   * Display a timeline of the changes to blocklist entries containing a guid, from the kinto history.
+   *
+   * @param {string} guid               The guid to show the history for.
+   */
+  async displayGuidHistory(guid) {
+    let history = await this.kinto.loadBlocklistHistory();
+
+    /**
+     * Check if the guid string of a blocklist entry contains the guid.
+     *
+     * @param {string} guidstring     The guid string, a single guid or a regex.
+     * @return {boolean}              True, if the guid is contained.
+     */
+    function containsGuid(guidstring) {
+      if (guidstring.startsWith("/")) {
+        let guids = expandGuidRegex(guidstring);
+        if (guids.length) {
+          return guids.includes(guid);
+        }
+
+        try {
+          return new RegExp(guidstring.substring(1, guidstring.length - 1)).test(guid);
+        } catch (e) {
+          return false;
+        }
+      } else if (guidstring.startsWith("^")) {
+        return new RegExp(guidstring).test(guid);
+      }
+      return guidstring == guid;
+    }
+
+    // Deleted records don't have a guid, so we need to remember which records contained it
+    let containing = new Map();
+    let timeline = [];
+    for (let { action, user_id: user, last_modified: lastModified, record_id: id, target } of history) {
+      let record = target.data;
+      let contains = !record.deleted && !!record.guid && containsGuid(record.guid);
+      let previous = containing.get(id) || null;
+
+      if (contains) {
+        timeline.push({ date: new Date(lastModified), user, action, id, record });
+        containing.set(id, record);
+      } else if (previous) {
+        action = action == "delete" ? "delete" : "update (guid removed)";
+        timeline.push({ date: new Date(lastModified), user, action, id, record: previous });
+        containing.delete(id);
+      }
+    }
+
+    if (!timeline.length) {
+      console.log(`${guid} was never part of a blocklist entry`);
+      return;
+    }
+
+    console.log(bold(`History of ${guid}:`));
+    for (let { date, user, action, id, record } of timeline) {
+      console.log(bold(`${date.toISOString()} - ${action} by ${user}`));
+      console.log(`\tEntry: ${id}`);
+      console.log(`\tBug: ${record.details.bug || "no bug"}`);
+      console.log(`\tSeverity: ${[...new Set(record.versionRange.map(range => getSeverity(range.severity)))].join(", ")}`);
+      console.log(`\tRange: ${formatVersionRanges(record.versionRange)}`);
+    }
+  }
+
+  /**
+   * Reject the review of the pending blocks, moving them back to work in progress. The bugs of the
+   * pending entries receive the reason as a comment, and the needinfo goes back from the reviewer to
+   * the author of the block.
+   *
+   * @param {object} options                    The options for this function.
+   * @param {?string} options.message           The reason for rejecting, asked for if not set.
+   * @param {number[]} options.deleteBugs       Bugs whose new entries will be deleted from staging.
+   */
+  async rejectBlocklist({ message=null, deleteBugs=[] }) {
+    let pending = await this.displayPending({ compareWith: "blocklists-preview" });
+    if (!pending.data.length) {
+      console.log("No blocks are in review");
+      return;
+    }
+
+    let signed = new Map((await this.kinto.loadBlocklistRecords("blocklists")).map(entry => [entry.id, entry]));
+    let bugs = this.getPendingBugIds(pending, signed);
+
+    // Only entries that are new can be deleted, removing a signed entry would unblock it
+    let deleteSet = new Set(deleteBugs.map(String));
+    let removals = [];
+    for (let entry of pending.data) {
+      let bug = !entry.deleted && entry.details && entry.details.bug && entry.details.bug.match(/id=(\d+)/)[1];
+      if (!bug || !deleteSet.has(bug)) {
+        continue;
+      }
+
+      if (signed.has(entry.id)) {
+        console.warn(`Entry ${entry.id} for bug ${bug} changes a signed entry and will not be deleted`);
+      } else {
+        removals.push(entry);
+      }
+    }
+    if (removals.length) {
+      console.log(bold(`${removals.length} new ${pluralForm(removals.length, "entry;entries")} will be deleted from staging.`));
+    }
+
+    while (!message) {
+      message = (await waitForInput("Reason for rejecting (will be added to the bugs):", false)).trim();
+    }
+
+    let answer = await waitForValidInput("Ready to reject?", "yn");
+    if (answer != "y") {
+      return;
+    }
+
+    await this.kinto.rejectBlocklist();
+
+    if (removals.length) {
+      // The staging records have their own modification times
+      let staging = new Map((await this.kinto.loadBlocklistRecords("staging")).map(entry => [entry.id, entry]));
+      for (let entry of removals) {
+        await this.kinto.deleteBlocklistEntry(entry.id, staging.get(entry.id).last_modified);
+        console.log(`Deleted entry ${entry.id} (${entry.details.name}) from staging`);
+      }
+    }
+
+    this.recordJournal("reject", {
+      records: pending.data.map(entry => entry.id),
+      bugs: bugs,
+      deleted: removals.map(entry => entry.id)
+    });
+    console.log("The review has been rejected");
+
+    if (!bugs.length) {
+      return;
+    }
+
+    if (this.bugzilla.authenticated) {
+      let account = await this.bugzilla.whoami();
+      let bugData = await this.bugzilla.searchBugs({ id: bugs.join(","), include_fields: "id,assigned_to,flags" });
+
+      for (let bug of bugData) {
+        let reviewFlags = (bug.flags || []).filter(flag => flag.name == "needinfo" && flag.status == "?" && flag.requestee == account.name);
+        let author = reviewFlags.length ? reviewFlags[0].setter : bug.assigned_to;
+
+        let flags = reviewFlags.map(flag => ({ id: flag.id, status: "X" }));
+        if (author && author != account.name && author != "nobody@mozilla.org") {
+          flags.push({ name: "needinfo", status: "?", requestee: author });
+        }
+
+        await this.bugzilla.update({
+          ids: [bug.id],
+          comment: { body: `The staged block has been rejected and will not be pushed: ${message}` },
+          flags: flags
+        });
+      }
+      console.log(`Commented on the following ${pluralForm(bugs.length, "bug;bugs")}:`);
+    } else {
+      console.warn("You don't have a bugzilla API key configured. Set one in ~/.amorc" +
+                   " or visit these bugs manually:");
+    }
+
+    for (let bug of bugs) {
+      console.log("\thttps://bugzilla.mozilla.org/show_bug.cgi?id=" + bug);
+    }
+  }
+
+  /**
+   * Display the changes recorded in the journal.
+   *
+   * @param {object} options                The options for this function.
+   * @param {?string} options.query         Only show entries containing this text, for example a
+   *                                          bug id or guid.
+   * @param {?string} options.command       Only show entries for this command.
+   * @param {?Date} options.since           Only show entries after this date.
+   */
+  displayJournal({ query=null, command=null, since=null }) {
+    if (!this.journal) {
+      throw new Error("The journal is disabled");
+    }
+
+    let entries = this.journal.search({ query, command, since });
+    if (!entries.length) {
+      console.log("No journal entries found");
+      return;
+    }
+
+    let labels = { records: "Records", bugs: "Bugs", users: "Banned users", addons: "Disabled add-ons", guids: "Guids", deleted: "Deleted records" };
+    for (let entry of entries) {
+      console.log(bold(`${entry.timestamp} - ${entry.command} by ${entry.user}`));
+      for (let [key, label] of Object.entries(labels)) {
+        if (entry[key] && entry[key].length) {
+          console.log(`\t${label}: ${entry[key].join(", ")}`);
+        }
+      }
+    }
+  }
+
   /**
    * Show blocks in the preview list and then sign after asking.
    *
@@ -375,6 +643,7 @@ export default class Mozblocklist {
       }
     }
     let bugs = [...bugset];
+    this.recordJournal("sign", { records: res.data.map(entry => entry.id), bugs });
 
     if (this.bugzilla.authenticated && bugs.length) {
       console.warn("Marking the following bugs as FIXED:");
@@ -458,8 +727,9 @@ export default class Mozblocklist {
    *
    * @param {string} compareWith                The collection to compare with. This is usually
    *                                              blocklists-preview or staging.
+   * @param {boolean} json                      If true, the guids will be printed as a JSON array.
    */
-  async displayPendingGuids(compareWith="blocklists-preview") {
+  async displayPendingGuids(compareWith="blocklists-preview", json=false) {
     let pending = await this.kinto.compareAddonCollection(compareWith);
 
     let output = pending.data.reduce((guids, { guid }) => {
@@ -471,22 +741,33 @@ export default class Mozblocklist {
       return guids;
     }, []);
 
-    console.log(output.join("\n"));
+    console.log(json ? JSON.stringify(output, null, 2) : output.join("\n"));
   }
 
-  async showUsage(guids, refdate) {
+  /**
+   * Show the usage numbers for the passed guids.
+   *
+   * @param {string[]} guids    The guids to show usage for.
+   * @param {?Date} refdate     The reference date for the usage numbers.
+   * @param {boolean} json      If true, the usage will be printed as JSON.
+   */
+  async showUsage(guids, refdate, json=false) {
     let usage = await this.redash_telemetry.queryUsage(guids, refdate);
     let missing = guids.filter(guid => !(guid in usage));
+    let total = Object.values(usage).reduce((acc, users) => acc + users, 0);
+
+    if (json) {
+      console.log(JSON.stringify({ usage, missing, total }, null, 2));
+      return;
+    }
+
     if (missing.length) {
       console.log(bold("Usage numbers for the following guids were not found:"));
       console.log("\t" + missing.join("\n\t") + "\n");
     }
 
-    let total = 0;
-
     console.log(Object.entries(usage).map(([guid, users]) => {
       let usercount = colored(users > HIGH_NUMBER_OF_USERS ? colored.RED : colored.RESET, DECIMAL_FORMAT.format(users));
-      total += users;
       return `${guid} - ${usercount}`;
     }).join("\n"));
 
@@ -496,11 +777,15 @@ export default class Mozblocklist {
   /**
    * Display pending blocks.
    *
-   * @param {string} compareWith                The collection to compare with. This is usually
+   * @param {object} options                    The options for this call, see following.
+   * @param {string} options.compareWith        The collection to compare with. This is usually
    *                                              blocklists-preview or staging.
+   * @param {boolean} options.showUsage         If true, usage numbers will be shown.
+   * @param {boolean} options.json              If true, the pending entries will be printed as JSON.
    * @return {object}                          Pending blocklist data from kinto.
    */
-  async displayPending({ compareWith="blocklists-preview", showUsage=false }) {
+  async displayPending({ compareWith="blocklists-preview", showUsage=false, json=false }) {
+    let log = json ? () => {} : console.log;
     let pending = await this.kinto.compareAddonCollection(compareWith);
     let bugData = {};
     let singleGuids = [];
@@ -518,39 +803,61 @@ export default class Mozblocklist {
     }
 
     let usage = 0;
+    let missingUsage = [];
     if (showUsage && singleGuids.length) {
       usage = await this.redash_telemetry.queryUsage(singleGuids);
-      let missing = singleGuids.filter(guid => !(guid in usage));
-      if (missing.length) {
-        console.log(bold("Usage numbers for the following guids were not found:"));
-        console.log("\t" + missing.join("\n\t") + "\n");
+      missingUsage = singleGuids.filter(guid => !(guid in usage));
+      if (missingUsage.length) {
+        log(bold("Usage numbers for the following guids were not found:"));
+        log("\t" + missingUsage.join("\n\t") + "\n");
       }
       pending._usage = usage;
     }
 
     let comments = pending.data.length ? await this.getCommentsSince(bugData) : {};
+    let entries = [];
 
     for (let entry of pending.data) {
-      console.log(bold(`Entry ${entry.id} - ${entry.deleted ? "deleted" : entry.details.name}`));
+      let url = `${this.kinto.remote_writer}/admin/#/buckets/staging/collections/addons/records/${entry.id}/attributes`;
+      let info = { id: entry.id, deleted: !!entry.deleted, url };
+      entries.push(info);
+
+      log(bold(`Entry ${entry.id} - ${entry.deleted ? "deleted" : entry.details.name}`));
       if (!entry.enabled) {
-        console.log("\tWarning: The blocklist entry is marked disabled");
+        log("\tWarning: The blocklist entry is marked disabled");
       }
 
-      console.log(`\tURL: ${this.kinto.remote_writer}/admin/#/buckets/staging/collections/addons/records/${entry.id}/attributes`);
+      log(`\tURL: ${url}`);
 
       if (!entry.deleted) {
-        console.log("\tReason: " + entry.details.why);
+        Object.assign(info, {
+          name: entry.details.name,
+          enabled: entry.enabled,
+          reason: entry.details.why,
+          bug: entry.details.bug || null,
+          guid: entry.guid,
+          guids: regexToGuids[entry.guid] || [],
+          versionRange: entry.versionRange,
+          prefs: entry.prefs,
+          comments: []
+        });
+
+        log("\tReason: " + entry.details.why);
         if (entry.details.bug) {
-          console.log("\tBug: " + entry.details.bug);
+          log("\tBug: " + entry.details.bug);
         }
-        if (entry.versionRange.length == 1 &&
-            entry.versionRange[0].minVersion == "0" &&
-            entry.versionRange[0].maxVersion == "*") {
-          console.log("\tRange: Blocking all versions, severity " + getSeverity(entry.versionRange[0].severity));
+
+        let severities = [...new Set(entry.versionRange.map(range => getSeverity(range.severity)))];
+        let hasSoftBlock = entry.versionRange.some(range => range.severity == SOFT_BLOCK);
+        info.severities = severities;
+        log(colored(hasSoftBlock ? colored.YELLOW : colored.RESET, "\tSeverity: " + severities.join(", ")));
+
+        if (isAllVersions(entry.versionRange)) {
+          log("\tRange: Blocking all versions");
         } else {
-          console.log("\tRange: Partial block with the following version ranges:");
+          log("\tRange: Partial block with the following version ranges:");
           for (let range of entry.versionRange) {
-            console.log(`\t\t ${range.minVersion} - ${range.maxVersion} (severity ${getSeverity(range.severity)})`);
+            log(`\t\t ${range.minVersion} - ${range.maxVersion} (severity ${getSeverity(range.severity)})`);
           }
         }
         if (entry.guid.startsWith("/")) {
@@ -558,44 +865,56 @@ export default class Mozblocklist {
             try {
               // eslint-disable-next-line no-new
               new RegExp(entry.guid.substring(1, entry.guid.length - 1));
-              console.log("\tGUIDs (valid): " + entry.guid);
+              info.valid = true;
+              log("\tGUIDs (valid): " + entry.guid);
             } catch (e) {
-              console.log(colored(colored.RED, "\tGUIDs (INVALID, regex doesn't parse): " + entry.guid));
+              info.valid = false;
+              info.invalidReason = "regex doesn't parse";
+              log(colored(colored.RED, "\tGUIDs (INVALID, regex doesn't parse): " + entry.guid));
             }
           } else {
-            console.log(colored(colored.RED, "\tGUIDs (INVALID, could not split): " + entry.guid));
+            info.valid = false;
+            info.invalidReason = "could not split";
+            log(colored(colored.RED, "\tGUIDs (INVALID, could not split): " + entry.guid));
           }
         } else {
-          console.log("\tGUID: " + entry.guid);
+          info.valid = true;
+          log("\tGUID: " + entry.guid);
         }
 
         if (showUsage) {
           let users = regexToGuids[entry.guid].reduce((acc, guid) => acc + (usage[guid] || 0), 0);
-          console.log(colored(users > HIGH_NUMBER_OF_USERS ? colored.RED : colored.RESET, "\tUsers: " + DECIMAL_FORMAT.format(users)));
+          info.users = users;
+          log(colored(users > HIGH_NUMBER_OF_USERS ? colored.RED : colored.RESET, "\tUsers: " + DECIMAL_FORMAT.format(users)));
           if (this.globalOpts.debug) {
             // This can be a lot of information, only show this on debug
             for (let guid of regexToGuids[entry.guid]) {
-              console.log(`\t\t${guid} - ${DECIMAL_FORMAT.format(usage[guid] || 0)}`);
+              log(`\t\t${guid} - ${DECIMAL_FORMAT.format(usage[guid] || 0)}`);
             }
           }
         }
 
         if (entry.prefs.length) {
-          console.log("Prefs: ", entry.prefs);
+          log("Prefs: ", entry.prefs);
         }
 
         let bugId = entry.details.bug && entry.details.bug.match(/id=(\d+)/)[1];
         if (bugId in comments) {
-          console.log("\tComments since the block was staged:");
+          info.comments = comments[bugId];
+          log("\tComments since the block was staged:");
           for (let comment of comments[bugId]) {
-            console.log("\t\t" + comment.replace(/\n/g, "\n\t\t\t"));
+            log("\t\t" + comment.replace(/\n/g, "\n\t\t\t"));
             if (comment.includes("The block has been staged")) {
               entry._alreadyRequestedBlock = true;
             }
           }
         }
       }
-      console.log("");
+      log("");
+    }
+
+    if (json) {
+      console.log(JSON.stringify({ entries, missingUsage }, null, 2));
     }
 
     return pending;
@@ -612,16 +931,30 @@ export default class Mozblocklist {
    * @param {integer} options.bug                 The bug to optionally take information from.
    * @param {string} options.bucket             The bucket to read from
    *                                              (staging/blocklists-preview/blocklists).
+   * @param {?number} options.severity          The severity for new blocks, will be prompted if
+   *                                              not set.
+   * @param {object[]} options.versionRange     The version ranges for new blocks, will be prompted
+   *                                              if empty.
+   * @param {boolean} options.json              If true, print the results as JSON without prompting.
+   * @param {?BlockManifest} options.manifest   The block manifest with the guids and details of the
+   *                                              block, creation will happen without prompting.
    */
-  async checkGuidsInteractively({ create = false, canContinue = false, guids = [], bug = null, allFromUsers = false, selfsign = false, showUsage = false, bucket = "blocklists" }) {
+  async checkGuidsInteractively({ create = false, canContinue = false, guids = [], bug = null, allFromUsers = false, selfsign = false, showUsage = false, bucket = "blocklists", severity = null, versionRange = [], json = false, manifest = null }) {
+    let log = json ? () => {} : console.log;
+    let warn = json ? () => {} : console.warn;
+
+    if (manifest) {
+      guids = manifest.guids;
+    }
+
     if (process.stdin.isTTY && !guids.length && !bug) {
-      console.warn("Loading blocklist...");
+      warn("Loading blocklist...");
     }
 
     let [blockguids, blockregexes] = await this.kinto.loadBlocklist(bucket);
 
     if (process.stdin.isTTY && !guids.length && !bug) {
-      console.warn("Blocklist loaded, waiting for guids (one per line, Ctrl+D to finish)");
+      warn("Blocklist loaded, waiting for guids (one per line, Ctrl+D to finish)");
     }
 
     let data;
@@ -637,18 +970,23 @@ export default class Mozblocklist {
 
     data = data.map(id => id.trim());
 
+    let offline = this.globalOpts.offline;
     let type = detectIdType(data);
     switch (type) {
       case "id":
       case "slug": {
-        console.warn(`Converting ${type}s to guids`);
+        if (offline) {
+          console.error(`Converting ${type}s to guids is not possible offline, please pass guids instead`);
+          return;
+        }
+        warn(`Converting ${type}s to guids`);
         let result = await this.redash.queryMapIds(type, "guid", data);
         let found = new Set(Object.keys(result));
         let missing = data.filter(key => !found.has(key));
         if (missing.length) {
-          console.warn(bold(`Could not find the following ${type}s:`));
-          console.warn(missing.join("\n"));
-          console.log("");
+          warn(bold(`Could not find the following ${type}s:`));
+          warn(missing.join("\n"));
+          log("");
         }
 
         data = Object.values(result);
@@ -659,11 +997,12 @@ export default class Mozblocklist {
         return;
     }
 
-    let alluserguids = await this.redash.queryAddonsInvolvedAccounts(data);
+    // Information about involved users and add-on status is only available online
+    let alluserguids = offline ? [] : await this.redash.queryAddonsInvolvedAccounts(data);
     let currentguidset = new Set(data);
     let otherguidset = new Set(alluserguids.filter(guid => !currentguidset.has(guid)));
 
-    if (!allFromUsers && otherguidset.size > 0) {
+    if (!allFromUsers && !json && !manifest && otherguidset.size > 0) {
       allFromUsers = (await waitForInput(`The users involved have ${otherguidset.size} more add-ons, also check them? [yN]`) == "y");
     }
 
@@ -673,75 +1012,97 @@ export default class Mozblocklist {
     }
 
     let { existing, newguids } = this.readGuidData(data, blockguids, blockregexes);
+    let output = {
+      existing: [...existing.entries()].map(([guid, entry]) => ({ guid, id: entry.id, bug: entry.details.bug || null })),
+      otherUserGuids: [],
+      unsigned: [],
+      legacy: [],
+      invalid: [],
+      newGuids: [],
+      usage: null,
+      totalUsers: 0
+    };
 
     // Show existing guids for information
     if (existing.size) {
-      console.log(bold("The following guids are already blocked:"));
+      log(bold("The following guids are already blocked:"));
       for (let [guid, entry] of existing.entries()) {
-        console.log(`${guid} - ${entry.details.bug || "no bug"}`);
+        log(`${guid} - ${entry.details.bug || "no bug"}`);
         otherguidset.delete(guid);
       }
-      console.log("");
+      log("");
     }
 
     if (allFromUsers) {
-      console.log(bold("The following add-ons were added because the user is involved:"));
-      console.log([...otherguidset].join("\n"));
-      console.log("");
+      output.otherUserGuids = [...otherguidset];
+      log(bold("The following add-ons were added because the user is involved:"));
+      log([...otherguidset].join("\n"));
+      log("");
     }
 
     let newguidvalues = [...newguids.values()];
-    if (newguidvalues && newguidvalues.length > 0) {
+    if (newguidvalues && newguidvalues.length > 0 && !offline) {
       // Show legacy add-ons, add-ons without any signed files, and unknown/invalid guids
       let [webex, legacy, unsigned, invalid] = await this.redash.querySeparateLegacyAndUnsigned(newguidvalues);
       newguidvalues = webex;
+      Object.assign(output, { unsigned, legacy, invalid });
 
       if (unsigned.length) {
-        console.log(bold("The following guids do not have any signed files:"));
-        console.log(unsigned.join("\n"));
+        log(bold("The following guids do not have any signed files:"));
+        log(unsigned.join("\n"));
       }
 
       if (legacy.length) {
-        console.log(bold("The following guids are for legacy add-ons and will not be blocked:"));
-        console.log(legacy.join("\n"));
+        log(bold("The following guids are for legacy add-ons and will not be blocked:"));
+        log(legacy.join("\n"));
       }
 
       if (invalid.length) {
-        console.log(bold("Warning: the following guids are not in the database:"));
-        console.log(invalid.join("\n"));
+        log(bold("Warning: the following guids are not in the database:"));
+        log(invalid.join("\n"));
       }
     }
 
-    console.log("");
+    log("");
 
     // Show a list of new guids that can be blocked
     if (newguidvalues.length > 0) {
-      let usage = showUsage && await this.redash_telemetry.queryUsage(newguidvalues);
+      let usage = showUsage && !offline && await this.redash_telemetry.queryUsage(newguidvalues);
 
-      console.log(bold("Here is a list of all guids not yet blocked:"));
+      log(bold("Here is a list of all guids not yet blocked:"));
       if (usage) {
-        console.log(newguidvalues.map(guid => {
+        log(newguidvalues.map(guid => {
           let usageString = usage[guid] ? DECIMAL_FORMAT.format(usage[guid]) : "unknown";
           return `${guid} - ${usageString}`;
         }).join("\n"));
       } else {
-        console.log(newguidvalues.join("\n"));
+        log(newguidvalues.join("\n"));
       }
 
       let totalUsers = usage ? Object.values(usage).reduce((acc, users) => users + acc, 0) : 0;
+      Object.assign(output, { newGuids: newguidvalues, usage: usage || null, totalUsers });
+
+      if (json) {
+        output.guidStrings = createGuidStrings(newguidvalues);
+        console.log(JSON.stringify(output, null, 2));
+        return;
+      }
+
       if (totalUsers > 0) {
-        console.log("\n" + bold("Total users: ") + DECIMAL_FORMAT.format(totalUsers));
+        log("\n" + bold("Total users: ") + DECIMAL_FORMAT.format(totalUsers));
       }
 
       if (create) {
-        await this.createBlocklistEntryInteractively({ guids: newguidvalues, canContinue, bugData, selfsign });
+        await this.createBlocklistEntryInteractively({ guids: newguidvalues, canContinue, bugData, selfsign, severity, versionRange, manifest });
       } else {
-        console.log("");
-        console.log(bold("Here is the list of guids for kinto:"));
-        console.log(createGuidStrings(newguidvalues).join("\n"));
+        log("");
+        log(bold("Here is the list of guids for kinto:"));
+        log(createGuidStrings(newguidvalues).join("\n"));
       }
+    } else if (json) {
+      console.log(JSON.stringify(output, null, 2));
     } else {
-      console.log("Nothing new to block");
+      log("Nothing new to block");
     }
   }
 
@@ -753,59 +1114,308 @@ export default class Mozblocklist {
    */
   async parseBlocklistBug(id) {
     let data = await this.bugzilla.getComments([id]);
-    let text = data.bugs[id].comments[0].text;
+    let bugData = parseBlocklistBugText(id, data.bugs[id].comments[0].text);
 
-    let matches = text.match(/Extension name\|([^|]*)\|/);
-    let name = matches && matches[1].trim();
+    if (!bugData) {
+      console.warn("Not a blocklist bug using the form");
+    }
 
-    matches = text.match(/### Extension (GU)?IDs\n```([\s\S]+)\n```/);
-    let guids = matches && matches[2].trim().split("\n");
+    return bugData;
+  }
 
+  /**
+   * Fetch the open bugs in the blocklist request component, with their description.
+   *
+   * @return {Promise<object[]>}            The bugs with id, summary, creation_time and text.
+   */
+  async fetchBlocklistQueue() {
+    let bugs = await this.bugzilla.searchBugs({
+      product: "Toolkit",
+      component: "Blocklist Policy Requests",
+      resolution: "---",
+      include_fields: "id,summary,status,creation_time"
+    });
 
-    matches = text.match(/### Reason\n([^#]+)/);
-    let reason = matches && matches[1].trim().split("\n")[0];
+    if (!bugs.length) {
+      return [];
+    }
 
-    if (!name || !reason || !guids) {
-      console.warn("Not a blocklist bug using the form");
-      return null;
+    let data = await this.bugzilla.getComments(bugs.map(bug => bug.id));
+    return bugs.map(bug => ({ ...bug, text: data.bugs[bug.id].comments[0].text }));
+  }
+
+  /**
+   * Classify a blocklist bug by comparing its guids with the blocklist and the staging bucket.
+   *
+   * @param {?BlocklistBugData} bugData     The parsed blocklist bug.
+   * @param {GuidMatcher} blocked           The matcher for the public blocklist.
+   * @param {GuidMatcher} staged            The matcher for the staging bucket.
+   * @return {object}                       An object with the state and the guids that are blocked,
+   *                                          staged and new.
+   */
+  classifyBlocklistBug(bugData, blocked, staged) {
+    if (!bugData) {
+      return { state: "unparsed", blocked: [], staged: [], newguids: [] };
+    }
+
+    let result = { blocked: [], staged: [], newguids: [] };
+    for (let guid of bugData.guids.map(line => line.trim()).filter(Boolean)) {
+      if (blocked.match(guid).entry) {
+        result.blocked.push(guid);
+      } else if (staged.match(guid).entry) {
+        result.staged.push(guid);
+      } else {
+        result.newguids.push(guid);
+      }
+    }
+
+    if (!result.newguids.length && !result.staged.length) {
+      result.state = "blocked";
+    } else if (!result.newguids.length) {
+      result.state = "staged";
+    } else if (result.blocked.length || result.staged.length) {
+      result.state = "partial";
+    } else {
+      result.state = "new";
+    }
+
+    return result;
+  }
+
+  /**
+   * Display the open blocklist request bugs, grouped by how far they have been processed.
+   */
+  async displayBlocklistQueue() {
+    let bugs = await this.fetchBlocklistQueue();
+    if (!bugs.length) {
+      console.log("There are no open blocklist requests");
+      return;
+    }
+
+    let blocked = new GuidMatcher(...await this.kinto.loadBlocklist("blocklists"));
+    let staged = new GuidMatcher(...await this.kinto.loadBlocklist("staging"));
+
+    let states = {
+      "new": { title: "New requests", bugs: [] },
+      "partial": { title: "Partially blocked or staged", bugs: [] },
+      "staged": { title: "Staged, waiting for review or signature", bugs: [] },
+      "blocked": { title: "Fully blocked but still open", bugs: [] },
+      "unparsed": { title: "Not using the blocklist form", bugs: [] }
+    };
+
+    for (let bug of bugs) {
+      let bugData = parseBlocklistBugText(bug.id, bug.text);
+      let result = this.classifyBlocklistBug(bugData, blocked, staged);
+      states[result.state].bugs.push({ ...result, bug, bugData });
     }
 
-    return { id, name, reason, guids };
+    for (let { title, bugs: stateBugs } of Object.values(states)) {
+      if (!stateBugs.length) {
+        continue;
+      }
+
+      console.log(bold(`${title} (${stateBugs.length}):`));
+      for (let { bug, bugData, ...result } of stateBugs) {
+        let counts = bugData ? ` - ${result.newguids.length} new, ${result.staged.length} staged, ${result.blocked.length} blocked` : "";
+        console.log(`\thttps://bugzilla.mozilla.org/show_bug.cgi?id=${bug.id} - ${bug.summary}${counts}`);
+      }
+      console.log("");
+    }
   }
 
   /**
    * Prompt for information required to create a blocklist entry and create it. This requires the
-   * blocklist to be clean and not work in progress.
+   * blocklist to be clean and not work in progress. If a manifest is passed, the information is
+   * taken from it and there will be no prompts.
    *
    * @param {object} options                    The options for this function.
    * @param {string[]} options.guids            The guid strings for the blocklist entry.
    * @param {boolean} options.canContinue       Also create the entry if there are work in progress items.
    * @param {BlocklistBugData} options.bugData  The data from the blocklist bug for names and reasons.
    * @param {boolean} options.selfsign          If true, signing will occur using the shared key.
+   * @param {?number} options.severity          The severity of the version ranges, will be prompted
+   *                                              if not set.
+   * @param {object[]} options.versionRange     The version ranges of the block, will be prompted if
+   *                                              empty.
+   * @param {?BlockManifest} options.manifest   The block manifest to create the entry from.
    */
-  async createBlocklistEntryInteractively({ guids, canContinue=false, bugData=null, selfsign=false }) {
+  async createBlocklistEntryInteractively({ guids, canContinue=false, bugData=null, selfsign=false, severity=null, versionRange=[], manifest=null }) {
     let requestedStates = ["signed"];
     if (canContinue) {
       requestedStates.push("work-in-progress", "to-review");
     }
     await this.kinto.ensureBlocklistState(requestedStates);
 
-    let bugid, name, reason;
-    let additionalInfo = null;
+    if (manifest) {
+      let details = this.getManifestBlockDetails(manifest, guids);
+      await this.executeBlock(guids, details, { selfsign });
+      return;
+    }
 
-    if (bugData) {
-      bugid = bugData.id;
-    } else {
-      while (true) {
-        bugid = await waitForInput("Bug id or link (leave empty to create):");
-        bugid = bugid.replace("https://bugzilla.mozilla.org/show_bug.cgi?id=", "");
+    let details = await this.promptBlockDetails({ guids, bugData, severity, versionRange });
+    let preview = this.renderBlockReason(details.reason, { ...details, count: guids.length, bug: details.bugid });
 
-        if (!bugid && !this.bugzilla.authenticated) {
-          console.log("You need to specify a bugzilla API key in the config or enter a bug id here");
-        } else if (bugid && isNaN(parseInt(bugid, 10))) {
-          console.log("Invalid bug id or link");
-        } else {
-          break;
+    console.log("");
+    console.log(bold("Kinto reason:"));
+    console.log("\t" + preview.kinto.replace(/\n/g, "\n\t"));
+    console.log(bold(details.bugid ? "Bugzilla comment:" : "Bugzilla reason for the new bug:"));
+    console.log("\t" + preview.bugzilla.replace(/\n/g, "\n\t"));
+    console.log("");
+
+    let answer = await waitForValidInput("Ready to create the blocklist entry?", "yn");
+
+    if (answer == "y") {
+      await this.executeBlock(guids, details, { selfsign });
+    } else {
+      console.log("In case you decide to do so later, here are the guid regexes:");
+      console.log(createGuidStrings(guids).join("\n"));
+    }
+  }
+
+  /**
+   * Create blocklist entries for several blocklist bugs at once. Each bug is parsed, guids are
+   * de-duplicated across the bugs and against the blocklist, then one set of entries is created per
+   * bug after confirming a combined summary.
+   *
+   * @param {object} options                    The options for this function.
+   * @param {number[]} options.bugs             The bug ids to create blocks for.
+   * @param {boolean} options.canContinue       Also create the entries if there are work in progress items.
+   * @param {boolean} options.selfsign          If true, signing will occur using the shared key.
+   * @param {string} options.bucket             The bucket to compare against.
+   * @param {?number} options.severity          The severity of the version ranges, will be prompted
+   *                                              if not set.
+   * @param {object[]} options.versionRange     The version ranges of the blocks, will be prompted
+   *                                              for each bug if empty.
+   */
+  async createBlocklistEntriesFromBugs({ bugs, canContinue=false, selfsign=false, bucket="staging", severity=null, versionRange=[] }) {
+    let requestedStates = ["signed"];
+    if (canContinue) {
+      requestedStates.push("work-in-progress", "to-review");
+    }
+    await this.kinto.ensureBlocklistState(requestedStates);
+
+    let [blockguids, blockregexes] = await this.kinto.loadBlocklist(bucket);
+    let seen = new Map();
+    let blocks = [];
+
+    for (let bug of [...new Set(bugs)]) {
+      let bugData = await this.parseBlocklistBug(bug);
+      if (!bugData) {
+        console.log(`Skipping bug ${bug}, it does not use the blocklist form`);
+        continue;
+      }
+
+      let { existing, newguids } = this.readGuidData(bugData.guids, blockguids, blockregexes);
+      let duplicates = [...newguids].filter(guid => seen.has(guid));
+      let guids = [...newguids].filter(guid => !seen.has(guid));
+      let skipped = [];
+
+      if (guids.length) {
+        let [webex, legacy, unsigned, invalid] = await this.redash.querySeparateLegacyAndUnsigned(guids);
+        guids = webex;
+        skipped = [...legacy, ...unsigned, ...invalid];
+      }
+
+      for (let guid of guids) {
+        seen.set(guid, bugData.id);
+      }
+
+      blocks.push({ bugData, guids, existing, duplicates, skipped });
+    }
+
+    for (let block of blocks.filter(({ guids }) => guids.length)) {
+      console.log(bold(`Bug ${block.bugData.id} - ${block.bugData.name} (${block.guids.length} new guids)`));
+      block.details = await this.promptBlockDetails({ guids: block.guids, bugData: block.bugData, severity, versionRange });
+      console.log("");
+    }
+
+    console.log(bold("Summary of the blocks to create:"));
+    for (let { bugData, guids, existing, duplicates, skipped, details } of blocks) {
+      console.log(bold(`Bug ${bugData.id} - ${details ? details.name : bugData.name}`));
+      if (details) {
+        console.log(`\tGuids: ${guids.length}`);
+        console.log(`\tReason: ${this.renderBlockReason(details.reason, { ...details, count: guids.length, bug: bugData.id }).kinto}`);
+        console.log(`\tVersions: ${formatVersionRanges(details.versionRange, true)}`);
+      } else {
+        console.log("\tNothing new to block");
+      }
+      if (existing.size) {
+        console.log(`\tAlready blocked: ${[...existing.keys()].join(", ")}`);
+      }
+      if (duplicates.length) {
+        console.log(`\tAlso in other bugs: ${duplicates.map(guid => `${guid} (bug ${seen.get(guid)})`).join(", ")}`);
+      }
+      if (skipped.length) {
+        console.log(`\tLegacy, unsigned or unknown: ${skipped.join(", ")}`);
+      }
+    }
+    console.log("");
+
+    let pending = blocks.filter(({ details }) => details);
+    if (!pending.length) {
+      console.log("Nothing new to block");
+      return;
+    }
+
+    let total = pending.reduce((acc, { guids }) => acc + guids.length, 0);
+    let answer = await waitForValidInput(`Ready to create blocklist entries for ${total} guids in ${pending.length} bugs?`, "yn");
+    if (answer != "y") {
+      return;
+    }
+
+    for (let { bugData, guids, details } of pending) {
+      console.log(bold(`Creating block for bug ${bugData.id}`));
+      await this.executeBlock(guids, details, { selfsign: false });
+    }
+
+    if (selfsign) {
+      await this.signBlocklist({ selfsign, selfreview: true });
+    }
+  }
+
+  /**
+   * Details needed to create a block.
+   *
+   * @typedef {object} BlockDetails
+   * @property {?string} bugid              The bug id, or null if a bug should be created.
+   * @property {string} name                The name of the block.
+   * @property {object} reason              The reason with kinto and bugzilla keys. Only canned
+   *                                          reasons have the template key set.
+   * @property {?string} additionalInfo     Additional info for a new bug.
+   * @property {object[]} versionRange      The version ranges of the block.
+   * @property {?string} action             What to do with the add-ons after blocking: ban,
+   *                                          disable or none. Will be prompted if null.
+   */
+
+  /**
+   * Prompt for the details of a new block.
+   *
+   * @param {object} options                    The options for this function.
+   * @param {string[]} options.guids            The guids that will be blocked.
+   * @param {BlocklistBugData} options.bugData  The data from the blocklist bug for names and reasons.
+   * @param {?number} options.severity          The severity of the version ranges, will be prompted
+   *                                              if not set.
+   * @param {object[]} options.versionRange     The version ranges of the block, will be prompted if
+   *                                              empty.
+   * @return {Promise<BlockDetails>}            The details of the block.
+   */
+  async promptBlockDetails({ guids, bugData=null, severity=null, versionRange=[] }) {
+    let bugid, name, reason;
+    let additionalInfo = null;
+
+    if (bugData) {
+      bugid = bugData.id;
+    } else {
+      while (true) {
+        bugid = await waitForInput("Bug id or link (leave empty to create):");
+        bugid = bugid.replace("https://bugzilla.mozilla.org/show_bug.cgi?id=", "");
+
+        if (!bugid && !this.bugzilla.authenticated) {
+          console.log("You need to specify a bugzilla API key in the config or enter a bug id here");
+        } else if (bugid && isNaN(parseInt(bugid, 10))) {
+          console.log("Invalid bug id or link");
+        } else {
+          break;
         }
       }
 
@@ -828,14 +1438,14 @@ export default class Mozblocklist {
       if (reason == "custom") {
         reason = {
           bugzilla: await waitForInput("Bugzilla reason:", false),
-          kinto: await waitForInput("Kinto reason:", false),
+          kinto: bugData
+            ? await waitForInput("Kinto reason (leave empty to use the reason from the bug):", false) || bugData.reason
+            : await waitForInput("Kinto reason:", false),
         };
         break;
       } else if (canned.hasOwnProperty(reason)) {
-        reason = canned[reason];
-        if (reason.kinto && reason.bugzilla) {
-          reason.kinto = pluralForm(guids.length, reason.kinto);
-          reason.bugzilla = pluralForm(guids.length, reason.bugzilla);
+        reason = this.getCannedReason(canned[reason]);
+        if (reason) {
           break;
         } else {
           console.log("The reason config seems wrong, it needs both a bugzilla and a kinto key");
@@ -850,89 +1460,231 @@ export default class Mozblocklist {
       additionalInfo = await waitForInput("Any additional info for the bug?", false);
     }
 
-    let minVersion = "0";
-    let maxVersion = "*";
+    if (!versionRange.length && bugData && bugData.versionRange && !severity) {
+      let ranges = formatVersionRanges(bugData.versionRange, true);
+      if (await waitForInput(`Use the version ranges from the bug (${ranges})? [Yn]`) != "n") {
+        versionRange = bugData.versionRange;
+      }
+    }
 
-    // Only prompt for version when not using a regex, this case is not very common.
-    if (guids.length == 1) {
-      minVersion = await waitForInput("Minimum version [0]:") || "0";
-      maxVersion = await waitForInput("Maximum version [*]:") || "*";
+    if (!versionRange.length) {
+      versionRange = await this.promptVersionRanges(severity, bugData && bugData.severity);
     }
 
-    let answer = await waitForValidInput("Ready to create the blocklist entry?", "yn");
+    return { bugid, name, reason, additionalInfo, versionRange, action: null };
+  }
 
-    if (answer == "y") {
-      let account = await this.bugzilla.whoami();
-      if (bugid) {
-        await this.bugzilla.update({
-          ids: [bugid],
-          comment: { body: reason.bugzilla },
-          assigned_to: account.name,
-          status: "ASSIGNED"
-        });
-      } else {
-        let versions = minVersion == "0" && maxVersion == "*" ? "<all versions>" : `${minVersion} - ${maxVersion}`;
-        let description = this.compileDescription(name, versions, reason.bugzilla, guids, additionalInfo);
+  /**
+   * Get the details of a new block from a validated block manifest.
+   *
+   * @param {BlockManifest} manifest      The block manifest.
+   * @param {string[]} guids              The guids that will be blocked.
+   * @return {BlockDetails}               The details of the block.
+   */
+  getManifestBlockDetails(manifest, guids) {
+    if (!manifest.bug && !this.bugzilla.authenticated) {
+      throw new Error("You need to specify a bugzilla API key in the config to create a new bug");
+    }
 
+    let reason = manifest.reason;
+    if (manifest.canned) {
+      reason = this.getCannedReason((getConfig("mozblocklist", "canned") || {})[manifest.canned]);
+    }
 
-        if (this.bugzilla.readonly) {
-          throw new Error("Bugzilla is set to read-only, cannot create bug");
-        }
+    return {
+      bugid: manifest.bug,
+      name: manifest.name,
+      reason: reason,
+      additionalInfo: manifest.additionalInfo,
+      versionRange: manifest.versionRange,
+      action: manifest.action
+    };
+  }
 
-        bugid = await this.bugzilla.create({
-          product: "Toolkit",
-          component: "Blocklist Policy Requests",
-          version: "unspecified",
-          summary: "Extension block request: " + name,
-          description: description,
-          whiteboard: "[extension]",
-          status: "ASSIGNED",
-          type: "task",
-          assigned_to: account.name,
-          groups: ["blocklist-requests"]
-        });
+  /**
+   * Get the templates of a canned reason.
+   *
+   * @param {object} canned           The canned reason from the configuration.
+   * @return {?object}                The reason with kinto and bugzilla keys, or null if the
+   *                                    canned reason is incomplete. The template key marks the
+   *                                    texts as templates to be rendered.
+   */
+  getCannedReason(canned) {
+    if (!canned || !canned.kinto || !canned.bugzilla) {
+      return null;
+    }
 
-        console.log(`Created https://bugzilla.mozilla.org/show_bug.cgi?id=${bugid} for this entry`);
-      }
+    return { kinto: canned.kinto, bugzilla: canned.bugzilla, template: true };
+  }
 
-      let blocks = createGuidStrings(guids);
-      let logblockprefix = blocks.length > 1 ? "\t": "Blocklist entry created, see ";
-      if (blocks.length > 1) {
-        console.log(`Splitting guids into ${blocks.length} blocklist entries:`);
-      }
+  /**
+   * Render the kinto and bugzilla texts of a reason with the details of the block. Only canned
+   * reasons are templates, custom reasons are used as they are.
+   *
+   * @param {object} reason                 The reason with kinto and bugzilla keys.
+   * @param {object} options                The details of the block.
+   * @param {string} options.name           The name of the block.
+   * @param {number} options.count          The number of guids blocked.
+   * @param {?string} options.bug           The bug id, or null if the bug will be created.
+   * @param {object[]} options.versionRange The version ranges of the block.
+   * @return {object}                       The rendered reason with kinto and bugzilla keys.
+   */
+  renderBlockReason(reason, { name, count, bug, versionRange }) {
+    if (!reason.template) {
+      return { kinto: reason.kinto, bugzilla: reason.bugzilla };
+    }
 
-      for (let guidstring of blocks) {
-        let entry = await this.kinto.createBlocklistEntry(guidstring, bugid, name, reason.kinto, HARD_BLOCK, minVersion, maxVersion);
-        console.log(`${logblockprefix}${this.kinto.remote_writer}/admin/#/buckets/staging/collections/addons/records/${entry.data.id}/attributes`);
-      }
+    let values = {
+      name: name,
+      count: count,
+      bug: bug ? String(bug) : "this bug",
+      versions: formatVersionRanges(versionRange)
+    };
 
-      if (selfsign) {
-        await this.signBlocklist({ selfsign, selfreview: true });
+    return {
+      kinto: renderReason(reason.kinto, values),
+      bugzilla: renderReason(reason.bugzilla, values)
+    };
+  }
+
+  /**
+   * Create the block: comment on or create the bug, create the blocklist entries and take action
+   * on the add-ons and involved users.
+   *
+   * @param {string[]} guids              The guids to block.
+   * @param {BlockDetails} details        The details of the block.
+   * @param {object} options              The options for this function.
+   * @param {boolean} options.selfsign    If true, signing will occur using the shared key.
+   */
+  async executeBlock(guids, { bugid, name, reason, additionalInfo, versionRange, action }, { selfsign=false }) {
+    let account = await this.bugzilla.whoami();
+    let bugzillaReason = this.renderBlockReason(reason, { name, count: guids.length, bug: bugid, versionRange }).bugzilla;
+    if (bugid) {
+      await this.bugzilla.update({
+        ids: [bugid],
+        comment: { body: bugzillaReason },
+        assigned_to: account.name,
+        status: "ASSIGNED"
+      });
+    } else {
+      let description = compileDescription(name, versionRange, bugzillaReason, guids, additionalInfo);
+
+
+      if (this.bugzilla.readonly) {
+        throw new Error("Bugzilla is set to read-only, cannot create bug");
       }
 
-      let users = await this.redash.queryUsersForIds("guid", guids);
-      console.log("The following users are involved with these add-ons:");
-      console.log(users.map(user => `\t${user.user_id} (${user.username} - ${user.display_name})`).join("\n"));
+      bugid = await this.bugzilla.create({
+        product: "Toolkit",
+        component: "Blocklist Policy Requests",
+        version: "unspecified",
+        summary: "Extension block request: " + name,
+        description: description,
+        whiteboard: "[extension]",
+        status: "ASSIGNED",
+        type: "task",
+        assigned_to: account.name,
+        groups: ["blocklist-requests"]
+      });
+
+      console.log(`Created https://bugzilla.mozilla.org/show_bug.cgi?id=${bugid} for this entry`);
+    }
+
+    let blocks = createGuidStrings(guids);
+    let logblockprefix = blocks.length > 1 ? "\t": "Blocklist entry created, see ";
+    if (blocks.length > 1) {
+      console.log(`Splitting guids into ${blocks.length} blocklist entries:`);
+    }
+
+    // The bug id is only known now if the bug was just created
+    let kintoReason = this.renderBlockReason(reason, { name, count: guids.length, bug: bugid, versionRange }).kinto;
+    let records = [];
+    for (let guidstring of blocks) {
+      let entry = await this.kinto.createBlocklistEntry(guidstring, bugid, name, kintoReason, versionRange);
+      records.push(entry.data.id);
+      console.log(`${logblockprefix}${this.kinto.remote_writer}/admin/#/buckets/staging/collections/addons/records/${entry.data.id}/attributes`);
+    }
+    this.recordJournal("create", { records, bugs: [String(bugid)] });
+
+    if (selfsign) {
+      await this.signBlocklist({ selfsign, selfreview: true });
+    }
+
+    if (action == "none") {
+      return;
+    }
+
+    let users = await this.redash.queryUsersForIds("guid", guids);
+    console.log("The following users are involved with these add-ons:");
+    console.log(users.map(user => `\t${user.user_id} (${user.username} - ${user.display_name})`).join("\n"));
+
+    if (!action) {
       let shouldBan = await waitForInput("Should they be banned? [yN]");
+      action = shouldBan == "y" ? "ban" : "disable";
+    }
 
-      if (shouldBan == "y") {
-        let usermodels = new DjangoUserModels(this.amo);
-        await usermodels.ban(users.map(user => user.user_id));
+    if (action == "ban") {
+      let userids = users.map(user => user.user_id);
+      await this.banUsers(userids);
+      this.recordJournal("ban", { users: userids, bugs: [String(bugid)] });
+    } else {
+      console.log("Disabling add-on and files");
+      let failedguids = await this.disableAddonAndFiles(guids);
+      this.recordJournal("disable", { addons: guids.filter(guid => !failedguids.includes(guid)), bugs: [String(bugid)] });
+
+      if (failedguids.length) {
+        console.log("Could not disable the following add-ons:");
+        console.log(failedguids.map(guid => "\t" + guid).join("\n"));
       } else {
-        console.log("Disabling add-on and files");
-        let failedguids = await this.disableAddonAndFiles(guids);
+        console.log("Done");
+      }
+    }
+  }
 
-        if (failedguids.length) {
-          console.log("Could not disable the following add-ons:");
-          console.log(failedguids.map(guid => "\t" + guid).join("\n"));
-        } else {
-          console.log("Done");
+  /**
+   * Prompt for the version ranges of a block. Each range has its own severity, more ranges can be
+   * added unless all versions are blocked.
+   *
+   * @param {?number} severity          The severity for all ranges, will be prompted if not set.
+   * @param {?number} defaultSeverity   The severity suggested when prompting.
+   * @return {Promise<object[]>}        The version ranges for the blocklist entry.
+   */
+  async promptVersionRanges(severity=null, defaultSeverity=null) {
+    let defaultSeverityString = getSeverity(defaultSeverity || HARD_BLOCK);
+    let versionRange = [];
+
+    while (true) {
+      let minVersion = await waitForInput("Minimum version [0]:") || "0";
+      let maxVersion = await waitForInput("Maximum version [*]:") || "*";
+
+      let rangeSeverity = severity;
+      while (!rangeSeverity) {
+        let answer = await waitForInput(`Severity for this range (hard, soft) [${defaultSeverityString}]:`) || defaultSeverityString;
+        rangeSeverity = parseSeverity(answer);
+        if (!rangeSeverity) {
+          console.log("Unknown severity, use either 'hard' or 'soft'");
         }
       }
-    } else {
-      console.log("In case you decide to do so later, here are the guid regexes:");
-      console.log(createGuidStrings(guids).join("\n"));
+
+      versionRange.push({ severity: rangeSeverity, minVersion, maxVersion });
+
+      if (isAllVersions([versionRange[versionRange.length - 1]]) ||
+          await waitForInput("Add another version range? [yN]") != "y") {
+        break;
+      }
     }
+
+    return versionRange;
+  }
+
+  /**
+   * Ban the AMO users with the passed ids.
+   *
+   * @param {number[]} userids          The AMO user ids to ban.
+   */
+  async banUsers(userids) {
+    let usermodels = new DjangoUserModels(this.amo);
+    await usermodels.ban(userids);
   }
 
   async disableAddonAndFiles(guids) {
@@ -960,10 +1712,615 @@ export default class Mozblocklist {
     return failedguids;
   }
 
+  /**
+   * Remove guids from their existing blocklist entries. Entries for a single guid are deleted,
+   * regex entries are rewritten without the removed guids. The changes are left in work in
+   * progress so they can be sent to review.
+   *
+   * @param {object} options                    The options for this function.
+   * @param {string[]} options.guids            The guids to unblock, can be empty to read from stdin.
+   * @param {boolean} options.canContinue       Also unblock if there are work in progress items.
+   */
+  async unblockGuidsInteractively({ guids=[], canContinue=false }) {
+    let requestedStates = ["signed"];
+    if (canContinue) {
+      requestedStates.push("work-in-progress", "to-review");
+    }
+    await this.kinto.ensureBlocklistState(requestedStates);
+
+    if (process.stdin.isTTY && !guids.length) {
+      console.warn("Loading blocklist...");
+    }
+
+    let [blockguids, blockregexes] = await this.kinto.loadBlocklist("staging");
+
+    let data = guids;
+    if (!data.length) {
+      if (process.stdin.isTTY) {
+        console.warn("Blocklist loaded, waiting for guids (one per line, Ctrl+D to finish)");
+      }
+      data = await waitForStdin();
+    }
+
+    // A guid can be in a single entry and any number of regex entries. It is only unblocked if it
+    // is removed from all of them, so group the guids by every entry that blocks them.
+    let matcher = new GuidMatcher(blockguids, blockregexes);
+    let newguids = [];
+    let entries = new Map();
+    for (let line of data) {
+      let guid = line.trim();
+      if (!guid || guid.startsWith(COMMENT_CHAR)) {
+        continue;
+      }
+
+      let { single, regexes } = matcher.match(guid);
+      let matching = (single ? [single] : []).concat(regexes.map(regex => blockregexes.get(regex)));
+      if (!matching.length) {
+        newguids.push(guid);
+      }
+
+      for (let entry of matching) {
+        if (!entries.has(entry.id)) {
+          entries.set(entry.id, { entry, guids: expandGuidRegex(entry.guid), removed: new Set() });
+        }
+        entries.get(entry.id).removed.add(guid);
+      }
+    }
+
+    if (newguids.length) {
+      console.log(bold("The following guids are not blocked:"));
+      console.log(newguids.join("\n"));
+      console.log("");
+    }
+
+    // Guids in an entry that can't be split, like a ^ pattern or a regex with wildcards, would stay
+    // blocked, so leave their other entries alone
+    let unsplittable = new Set();
+    for (let { entry, guids: entryGuids, removed } of entries.values()) {
+      if (!entryGuids.length) {
+        console.log(colored(colored.RED, `Entry ${entry.id} can't be split, please edit it manually: ${entry.guid}`));
+        for (let guid of removed) {
+          unsplittable.add(guid);
+        }
+      }
+    }
+    if (unsplittable.size) {
+      console.log(bold("The following guids will stay blocked:"));
+      console.log([...unsplittable].join("\n"));
+      console.log("");
+    }
+
+    let changes = [];
+    for (let { entry, guids: entryGuids, removed } of entries.values()) {
+      let removable = [...removed].filter(guid => !unsplittable.has(guid));
+      if (!entryGuids.length || !removable.length) {
+        continue;
+      }
+
+      let remaining = entryGuids.filter(guid => !removable.includes(guid));
+      changes.push({ entry, removed: removable, remaining });
+    }
+
+    if (!changes.length) {
+      console.log("Nothing to unblock");
+      return;
+    }
+
+    for (let { entry, removed, remaining } of changes) {
+      console.log(bold(`Entry ${entry.id} - ${entry.details.name}`));
+      console.log(`\tBug: ${entry.details.bug || "no bug"}`);
+      if (remaining.length) {
+        console.log(`\tRemoving ${removed.length} of ${removed.length + remaining.length} guids:`);
+      } else {
+        console.log("\tDeleting the entry, unblocking:");
+      }
+      console.log("\t\t" + removed.join("\n\t\t"));
+    }
+    console.log("");
+
+    let answer = await waitForValidInput("Ready to unblock these guids?", "yn");
+    if (answer != "y") {
+      return;
+    }
+
+    let reason = await waitForInput("Reason for unblocking (will be added to the bug):", false);
+
+    let bugguids = {};
+    for (let { entry, removed, remaining } of changes) {
+      let logprefix;
+      if (remaining.length) {
+        // Removing guids only makes the entry shorter, so there will be just one guid string.
+        let [guidstring] = createGuidStrings(remaining);
+        await this.kinto.updateBlocklistEntry(entry.id, { guid: guidstring }, entry.last_modified);
+        logprefix = "Blocklist entry updated, see ";
+      } else {
+        await this.kinto.deleteBlocklistEntry(entry.id, entry.last_modified);
+        logprefix = "Blocklist entry deleted, was ";
+      }
+      console.log(`${logprefix}${this.kinto.remote_writer}/admin/#/buckets/staging/collections/addons/records/${entry.id}/attributes`);
+
+      let bugId = entry.details.bug && entry.details.bug.match(/id=(\d+)/);
+      if (bugId) {
+        bugguids[bugId[1]] = [...new Set((bugguids[bugId[1]] || []).concat(removed))];
+      }
+    }
+
+    let bugs = Object.keys(bugguids);
+    this.recordJournal("unblock", {
+      records: changes.map(({ entry }) => entry.id),
+      bugs: bugs,
+      guids: [...new Set(changes.reduce((acc, { removed }) => acc.concat(removed), []))]
+    });
+
+    if (this.bugzilla.authenticated && bugs.length) {
+      for (let bug of bugs) {
+        let body = "The following guids have been unblocked:\n\n" + bugguids[bug].join("\n");
+        if (reason) {
+          body += "\n\n" + reason;
+        }
+        await this.bugzilla.update({ ids: [bug], comment: { body } });
+      }
+    } else if (bugs.length) {
+      console.warn("You don't have a bugzilla API key configured. Set one in ~/.amorc or visit" +
+                   " these bugs manually:");
+      console.warn(bugs.map(bug => "\thttps://bugzilla.mozilla.org/show_bug.cgi?id=" + bug).join("\n"));
+    }
+
+    console.log("The changes are work in progress, use `mozblocklist review` to request review");
+  }
+
+  /**
+   * Find the blocklist entry for a guid or a record id.
+   *
+   * @param {string} id                   The guid or the kinto record id.
+   * @param {BlocklistMap} guids          The Map with guids and blocklist entry as
+   *                                        provided by loadBlocklist.
+   * @param {BlocklistRegexMap} regexes   The Map with regexes and blocklist entry as
+   *                                        provided by loadBlocklist.
+   * @return {?object}                    The blocklist entry, or null if not found.
+   */
+  findBlocklistEntry(id, guids, regexes) {
+    for (let entry of [...guids.values(), ...regexes.values()]) {
+      if (entry.id == id) {
+        return entry;
+      }
+    }
+
+    let { existing } = this.readGuidData([id], guids, regexes);
+    return existing.get(id.trim()) || null;
+  }
+
+  /**
+   * Edit an existing blocklist entry in the staging bucket. Fields that are not passed will be
+   * prompted for, unless at least one field was passed.
+   *
+   * @param {object} options                    The options for this function.
+   * @param {string} options.id                 The guid or kinto record id of the entry.
+   * @param {boolean} options.canContinue       Also edit if there are work in progress items.
+   * @param {?string} options.name              The new name of the block.
+   * @param {?string} options.reason            The new kinto reason of the block.
+   * @param {?string} options.bug               The new bug id of the block.
+   * @param {?number} options.severity          The new severity for all version ranges.
+   * @param {object[]} options.versionRange     The new version ranges of the block.
+   */
+  async editBlocklistEntryInteractively({ id, canContinue=false, name=null, reason=null, bug=null, severity=null, versionRange=[] }) {
+    let requestedStates = ["signed"];
+    if (canContinue) {
+      requestedStates.push("work-in-progress", "to-review");
+    }
+    await this.kinto.ensureBlocklistState(requestedStates);
+
+    let [blockguids, blockregexes] = await this.kinto.loadBlocklist("staging");
+    let entry = this.findBlocklistEntry(id, blockguids, blockregexes);
+    if (!entry) {
+      console.log(`Could not find a blocklist entry for ${id}`);
+      return;
+    }
+
+    let currentBug = entry.details.bug && entry.details.bug.match(/id=(\d+)/);
+    currentBug = currentBug ? currentBug[1] : "";
+
+    console.log(bold(`Entry ${entry.id} - ${entry.details.name}`));
+    console.log(`\tURL: ${this.kinto.remote_writer}/admin/#/buckets/staging/collections/addons/records/${entry.id}/attributes`);
+    console.log("\tReason: " + entry.details.why);
+    console.log("\tBug: " + (entry.details.bug || "no bug"));
+    console.log("\tRange: " + formatVersionRanges(entry.versionRange, true));
+    let guidcount = expandGuidRegex(entry.guid).length;
+    console.log(entry.guid.startsWith("/") ? `\tGUIDs: ${guidcount || "unknown number of"} guids` : "\tGUID: " + entry.guid);
+    console.log("");
+
+    let interactive = !name && !reason && !bug && !severity && !versionRange.length;
+    if (interactive) {
+      name = await waitForInput(`Name for this block [${entry.details.name}]:`, false);
+      reason = await waitForInput(`Reason for this block [${entry.details.why}]:`, false);
+      bug = await waitForInput(`Bug id or link [${currentBug}]:`);
+      if (await waitForInput("Change the version ranges? [yN]") == "y") {
+        versionRange = await this.promptVersionRanges();
+      }
+    }
+
+    if (bug) {
+      bug = bug.replace("https://bugzilla.mozilla.org/show_bug.cgi?id=", "");
+      if (isNaN(parseInt(bug, 10))) {
+        console.log("Invalid bug id or link");
+        return;
+      }
+    }
+
+    if (!versionRange.length && severity) {
+      versionRange = entry.versionRange.map(range => ({ ...range, severity }));
+    }
+
+    let details = { ...entry.details };
+    let changes = [];
+    if (name && name != entry.details.name) {
+      changes.push(["Name", entry.details.name, name]);
+      details.name = name;
+    }
+    if (reason && reason != entry.details.why) {
+      changes.push(["Reason", entry.details.why, reason]);
+      details.why = reason;
+    }
+    if (bug && bug != currentBug) {
+      details.bug = `https://bugzilla.mozilla.org/show_bug.cgi?id=${bug}`;
+      changes.push(["Bug", entry.details.bug || "no bug", details.bug]);
+    }
+
+    let oldRange = formatVersionRanges(entry.versionRange, true);
+    let newRange = versionRange.length && formatVersionRanges(versionRange, true);
+    if (newRange && newRange != oldRange) {
+      changes.push(["Range", oldRange, newRange]);
+    }
+
+    if (!changes.length) {
+      console.log("Nothing to change");
+      return;
+    }
+
+    console.log(bold("The following changes will be made:"));
+    for (let [field, oldValue, newValue] of changes) {
+      console.log(`\t${field}: ${oldValue} => ${newValue}`);
+    }
+
+    let answer = await waitForValidInput("Ready to update the blocklist entry?", "yn");
+    if (answer == "y") {
+      let update = { details };
+      if (newRange && newRange != oldRange) {
+        update.versionRange = versionRange;
+      }
+      await this.kinto.updateBlocklistEntry(entry.id, update, entry.last_modified);
+      let bugId = details.bug && details.bug.match(/id=(\d+)/);
+      this.recordJournal("edit", { records: [entry.id], bugs: bugId ? [bugId[1]] : [] });
+      console.log("Blocklist entry updated, use `mozblocklist review` to request review");
+    }
+  }
+
+  /**
+   * Repack fragmented blocklist entries in the staging bucket. Entries with the same bug, reason and
+   * version ranges are merged into as few regex entries as possible. Entries whose other metadata
+   * differs are not merged.
+   *
+   * @param {object} options                    The options for this function.
+   * @param {boolean} options.canContinue       Also compact if there are work in progress items.
+   */
+  async compactBlocklist({ canContinue=false }) {
+    let requestedStates = ["signed"];
+    if (canContinue) {
+      requestedStates.push("work-in-progress", "to-review");
+    }
+    await this.kinto.ensureBlocklistState(requestedStates);
+
+    console.warn("Loading blocklist...");
+    let [blockguids, blockregexes] = await this.kinto.loadBlocklist("staging");
+    let entries = [...blockguids.values(), ...blockregexes.values()];
+
+    let groups = new Map();
+    for (let entry of entries) {
+      if (!expandGuidRegex(entry.guid).length) {
+        // Regexes we can't split, including ^ patterns, can't be merged either
+        continue;
+      }
+
+      let key = canonicalJSON([entry.details.bug, entry.details.why, entry.versionRange]);
+      if (!groups.has(key)) {
+        groups.set(key, []);
+      }
+      groups.get(key).push(entry);
+    }
+
+    /**
+     * Get the metadata of an entry that must match for merging. This is everything except the id,
+     * guid and timestamps.
+     *
+     * @param {object} entry      The blocklist entry.
+     * @return {string}           The serialized metadata.
+     */
+    function metadata(entry) {
+      let data = { ...entry, details: { ...entry.details } };
+      delete data.id;
+      delete data.last_modified;
+      delete data.schema;
+      delete data.guid;
+      delete data.details.created;
+      return canonicalJSON(data);
+    }
+
+    let removeEntries = [];
+    let newEntries = [];
+    for (let group of groups.values()) {
+      if (group.length < 2) {
+        continue;
+      }
+
+      let bug = group[0].details.bug || "no bug";
+      if (new Set(group.map(metadata)).size > 1) {
+        console.log(colored(colored.RED, `Not merging ${group.length} entries for ${bug}, their metadata differs:`));
+        console.log("\t" + group.map(entry => entry.id).join("\n\t"));
+        continue;
+      }
+
+      group.sort((a, b) => a.details.created.localeCompare(b.details.created));
+      let guids = [...new Set(group.reduce((acc, entry) => acc.concat(expandGuidRegex(entry.guid)), []))];
+      let guidstrings = createGuidStrings(guids);
+      if (guidstrings.length >= group.length) {
+        continue;
+      }
+
+      console.log(`${bug}: ${group.length} entries => ${guidstrings.length} ${pluralForm(guidstrings.length, "entry;entries")}`);
+
+      // The oldest entry provides the metadata, including the creation date
+      let base = { ...group[0] };
+      delete base.id;
+      delete base.last_modified;
+      delete base.schema;
+      removeEntries.push(...group);
+      newEntries.push(...guidstrings.map(guid => ({ ...base, guid })));
+    }
+
+    if (!removeEntries.length) {
+      console.log("Nothing to compact");
+      return;
+    }
+
+    let size = list => list.reduce((acc, entry) => acc + Buffer.byteLength(JSON.stringify(entry)), 0);
+    let sizeBefore = size(entries);
+    let sizeAfter = sizeBefore - size(removeEntries) + size(newEntries);
+    let countAfter = entries.length - removeEntries.length + newEntries.length;
+
+    console.log("");
+    console.log(bold("Summary:"));
+    console.log(`\tRecords: ${DECIMAL_FORMAT.format(entries.length)} => ${DECIMAL_FORMAT.format(countAfter)}`);
+    console.log(`\tBytes: ${DECIMAL_FORMAT.format(sizeBefore)} => ${DECIMAL_FORMAT.format(sizeAfter)}`);
+
+    let answer = await waitForValidInput("Ready to compact the blocklist?", "yn");
+    if (answer == "y") {
+      let results = await this.kinto.replaceBlocklistEntries(removeEntries, newEntries);
+      this.recordJournal("compact", { records: results.published.map(body => body.data.id) });
+      console.log(`Replaced ${removeEntries.length} entries with ${newEntries.length}, use \`mozblocklist review\` to request review`);
+    }
+  }
+
+  /**
+   * Validate all records of the blocklist and report any issues found.
+   *
+   * @param {object} options                    The options for this function.
+   * @param {string} options.bucket             The bucket to validate
+   *                                              (staging/blocklists-preview/blocklists).
+   * @return {Promise<number>}                  The number of issues found.
+   */
+  async lintBlocklist({ bucket="staging" }) {
+    console.warn("Loading blocklist...");
+    let records = await this.kinto.loadBlocklistRecords(bucket);
+
+    let issues = new Map();
+    let addIssue = (entry, message) => {
+      if (!issues.has(entry)) {
+        issues.set(entry, []);
+      }
+      issues.get(entry).push(message);
+    };
+
+    let guidEntries = new Map();
+    let patterns = [];
+
+    for (let entry of records) {
+      let details = entry.details || {};
+
+      if (!entry.enabled) {
+        addIssue(entry, "The entry is disabled");
+      }
+      if (!details.bug || !details.bug.match(/id=(\d+)/)) {
+        addIssue(entry, "The bug link is missing or invalid: " + (details.bug || "no bug"));
+      }
+      if (!details.why || !details.why.trim()) {
+        addIssue(entry, "The reason is empty");
+      }
+
+      if (!entry.guid) {
+        addIssue(entry, "The guid is empty");
+        continue;
+      }
+
+      if (entry.guid.length > REGEX_BLOCK_MAXLEN) {
+        addIssue(entry, `The guid is longer than ${REGEX_BLOCK_MAXLEN} characters (${entry.guid.length})`);
+      }
+
+      if (!Array.isArray(entry.versionRange) || !entry.versionRange.length) {
+        addIssue(entry, "The entry has no version ranges");
+      } else {
+        for (let range of entry.versionRange) {
+          let rangeString = `${range.minVersion} - ${range.maxVersion}`;
+          if (!range.minVersion || !range.maxVersion) {
+            addIssue(entry, `The version range ${rangeString} is incomplete`);
+          } else if (compareVersions(range.minVersion, range.maxVersion) > 0) {
+            addIssue(entry, `The version range ${rangeString} has a minimum larger than the maximum`);
+          }
+          if (![SOFT_BLOCK, HARD_BLOCK].includes(range.severity)) {
+            addIssue(entry, `The version range ${rangeString} has an unknown severity ${range.severity}`);
+          }
+        }
+      }
+
+      let guids = expandGuidRegex(entry.guid);
+      if (!guids.length) {
+        addIssue(entry, "The regex can't be split into guids");
+        try {
+          patterns.push([parseGuidRegex(entry.guid), entry]);
+        } catch (e) {
+          addIssue(entry, "The regex doesn't parse: " + e.message);
+        }
+      }
+
+      for (let guid of guids) {
+        if (!guidEntries.has(guid)) {
+          guidEntries.set(guid, []);
+        }
+        guidEntries.get(guid).push(entry);
+      }
+    }
+
+    for (let [guid, entries] of guidEntries.entries()) {
+      for (let [regex, entry] of patterns) {
+        if (guid.match(regex)) {
+          entries.push(entry);
+        }
+      }
+
+      if (entries.length > 1) {
+        for (let entry of entries) {
+          let others = entries.filter(other => other !== entry).map(other => other.id);
+          addIssue(entry, `The guid ${guid} is also blocked in ${others.join(", ")}`);
+        }
+      }
+    }
+
+    let count = 0;
+    for (let [entry, messages] of issues.entries()) {
+      console.log(bold(`Entry ${entry.id} - ${entry.details ? entry.details.name : "no details"}`));
+      console.log("\t" + messages.join("\n\t"));
+      count += messages.length;
+    }
+
+    if (count) {
+      console.log(`\nFound ${count} ${pluralForm(count, "issue;issues")} in ${issues.size} of ${records.length} entries`);
+    } else {
+      console.log(`No issues found in ${records.length} entries`);
+    }
+
+    return count;
+  }
+
+  /**
+   * Load the blocklist records for a diff source. The source can be a JSON file as written by
+   * `list -f json`, a bucket on a different host as host/bucket, or a bucket on the current host.
+   *
+   * @param {string} source             The source to load.
+   * @return {Promise<object[]>}        The blocklist records.
+   */
+  async loadDiffSource(source) {
+    if (fs.existsSync(source)) {
+      let data = JSON.parse(fs.readFileSync(source, "utf-8"));
+      return Array.isArray(data) ? data : data.data;
+    } else if (source.includes("/")) {
+      let slash = source.lastIndexOf("/");
+      let client = this.kinto.forHost(source.substring(0, slash));
+      return client.loadBlocklistRecords(source.substring(slash + 1));
+    } else {
+      return this.kinto.loadBlocklistRecords(source);
+    }
+  }
+
+  /**
+   * Show the differences between two blocklists on the level of single guids.
+   *
+   * @param {string} source             The source blocklist, see loadDiffSource.
+   * @param {string} target             The target blocklist, see loadDiffSource.
+   */
+  async diffBlocklists(source, target) {
+    console.warn("Loading blocklists...");
+    let sourceRecords = await this.loadDiffSource(source);
+    let targetRecords = await this.loadDiffSource(target);
+
+    /**
+     * Map each guid in the records to its entry. Regexes that can't be split are used as is, they
+     * can be told apart from guids with isGuidRegex.
+     *
+     * @param {object[]} records      The blocklist records.
+     * @return {Map<string, object>}  The map between guids and entries.
+     */
+    function guidMap(records) {
+      let map = new Map();
+      for (let entry of records) {
+        let guids = expandGuidRegex(entry.guid);
+        for (let guid of (guids.length ? guids : [entry.guid])) {
+          map.set(guid, entry);
+        }
+      }
+      return map;
+    }
+
+    let fields = {
+      name: entry => entry.details.name,
+      reason: entry => entry.details.why,
+      bug: entry => entry.details.bug,
+      range: entry => formatVersionRanges(entry.versionRange, true),
+      enabled: entry => String(entry.enabled),
+    };
+
+    let sourceGuids = guidMap(sourceRecords);
+    let targetGuids = guidMap(targetRecords);
+    let added = [...targetGuids.keys()].filter(guid => !sourceGuids.has(guid));
+    let removed = [...sourceGuids.keys()].filter(guid => !targetGuids.has(guid));
+    let modified = [];
+    let label = key => (isGuidRegex(key) ? `${key} (regex)` : key);
+
+    for (let [guid, targetEntry] of targetGuids.entries()) {
+      let sourceEntry = sourceGuids.get(guid);
+      if (!sourceEntry) {
+        continue;
+      }
+
+      let changes = Object.entries(fields).reduce((acc, [field, getter]) => {
+        if (getter(sourceEntry) != getter(targetEntry)) {
+          acc.push(`${field}: ${getter(sourceEntry)} => ${getter(targetEntry)}`);
+        }
+        return acc;
+      }, []);
+
+      if (changes.length) {
+        modified.push([guid, changes]);
+      }
+    }
+
+    console.log(bold(`Added guids (${added.length}):`));
+    for (let guid of added) {
+      console.log(`\t${label(guid)} - ${targetGuids.get(guid).details.bug || "no bug"}`);
+    }
+
+    console.log(bold(`Removed guids (${removed.length}):`));
+    for (let guid of removed) {
+      console.log(`\t${label(guid)} - ${sourceGuids.get(guid).details.bug || "no bug"}`);
+    }
+
+    console.log(bold(`Modified guids (${modified.length}):`));
+    for (let [guid, changes] of modified) {
+      console.log(`\t${label(guid)} - ${targetGuids.get(guid).details.bug || "no bug"}`);
+      console.log("\t\t" + changes.join("\n\t\t"));
+    }
+
+    console.log("");
+    console.log(`Records: ${sourceRecords.length} => ${targetRecords.length}`);
+    let countGuids = (map, regex) => [...map.keys()].filter(key => isGuidRegex(key) == regex).length;
+    console.log(`Guids: ${countGuids(sourceGuids, false)} => ${countGuids(targetGuids, false)}`);
+    console.log(`Unsplittable regexes: ${countGuids(sourceGuids, true)} => ${countGuids(targetGuids, true)}`);
+  }
+
   /**
    * Print the current blocklist status in a human readable form.
+   *
+   * @param {boolean} json      If true, the status will be printed as JSON.
    */
-  async printBlocklistStatus() {
+  async printBlocklistStatus(json=false) {
     let status = await this.kinto.getBlocklistStatus();
     let map = {
       "signed": "Signed and ready",
@@ -974,6 +2331,10 @@ export default class Mozblocklist {
     };
 
     let string = (map[status] || map._).replace("%s", status);
-    console.log(string);
+    if (json) {
+      console.log(JSON.stringify({ status, description: string }, null, 2));
+    } else {
+      console.log(string);
+    }
   }
 }
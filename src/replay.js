@@ -0,0 +1,127 @@
+/* This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ * Portions Copyright (C) Philipp Kewisch, 2020 */
+
+import nock from "nock";
+import fs from "fs";
+import path from "path";
+
+const RECORDING_FILE = "recording.json";
+const REDACTED = "REDACTED";
+
+// Headers carrying credentials or session cookies, they are left out of the recording
+const SECRET_HEADERS = ["set-cookie", "cookie", "authorization", "proxy-authorization", "x-bugzilla-api-key", "x-csrftoken"];
+
+// Loading nock intercepts all requests, only do so when recording or replaying
+nock.restore();
+
+/**
+ * Replace the API keys in a URL path, so they don't end up in the recording.
+ *
+ * @param {string} urlpath      The URL path with query string.
+ * @return {string}             The path with API keys replaced.
+ */
+function redactPath(urlpath) {
+  return urlpath.replace(/([?&]api_key=)[^&]*/g, "$1" + REDACTED);
+}
+
+/**
+ * Replace the CSRF token the AMO admin forms send in the request body.
+ *
+ * @param {string} body         The request body.
+ * @return {string}             The body with the token replaced.
+ */
+function redactBody(body) {
+  return body.replace(/(csrfmiddlewaretoken=)[^&]*/g, "$1" + REDACTED);
+}
+
+/**
+ * Remove the credential headers from a nock raw header list, which alternates names and values.
+ *
+ * @param {?Array<string>} rawHeaders      The raw headers.
+ * @return {?Array<string>}                The raw headers without the credential headers.
+ */
+function redactRawHeaders(rawHeaders) {
+  if (!rawHeaders) {
+    return rawHeaders;
+  }
+
+  let headers = [];
+  for (let idx = 0; idx < rawHeaders.length; idx += 2) {
+    if (!SECRET_HEADERS.includes(rawHeaders[idx].toLowerCase())) {
+      headers.push(rawHeaders[idx], rawHeaders[idx + 1]);
+    }
+  }
+  return headers;
+}
+
+/**
+ * Remove API keys, credential headers and form tokens from a recorded HTTP exchange.
+ *
+ * @param {object} definition         The nock definition of the exchange.
+ * @return {object}                   The redacted definition.
+ */
+function redactDefinition(definition) {
+  let redacted = {
+    ...definition,
+    path: redactPath(definition.path),
+    rawHeaders: redactRawHeaders(definition.rawHeaders)
+  };
+
+  if (definition.reqheaders) {
+    redacted.reqheaders = {};
+    for (let [name, value] of Object.entries(definition.reqheaders)) {
+      if (!SECRET_HEADERS.includes(name.toLowerCase())) {
+        redacted.reqheaders[name] = value;
+      }
+    }
+  }
+
+  if (typeof definition.body == "string") {
+    redacted.body = redactBody(definition.body);
+  }
+
+  return redacted;
+}
+
+/**
+ * Start recording all HTTP exchanges.
+ */
+export function startRecording() {
+  nock.recorder.rec({
+    dont_print: true,
+    output_objects: true
+  });
+}
+
+/**
+ * Save the HTTP exchanges recorded since startRecording was called.
+ *
+ * @param {string} directory    The directory to save the recording to.
+ */
+export function saveRecording(directory) {
+  let definitions = nock.recorder.play().map(redactDefinition);
+  nock.recorder.clear();
+  nock.restore();
+
+  fs.mkdirSync(directory, { recursive: true });
+  fs.writeFileSync(path.join(directory, RECORDING_FILE), JSON.stringify(definitions, null, 2));
+  console.warn(`Saved ${definitions.length} HTTP exchanges to ${directory}`);
+}
+
+/**
+ * Serve HTTP exchanges from a recording, any request not in the recording will fail.
+ *
+ * @param {string} directory    The directory with the recording.
+ */
+export function startReplay(directory) {
+  let definitions = JSON.parse(fs.readFileSync(path.join(directory, RECORDING_FILE), "utf-8"));
+
+  nock.activate();
+  nock.disableNetConnect();
+  for (let scope of nock.define(definitions)) {
+    scope.filteringPath(redactPath);
+    scope.filteringRequestBody(body => (typeof body == "string" ? redactBody(body) : body));
+  }
+}
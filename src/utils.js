@@ -6,7 +6,7 @@
 import readline from "readline";
 import fs from "fs";
 
-import { REGEX_BLOCK_MAXLEN, REGEX_BLOCK_START, REGEX_BLOCK_END, REGEX_BLOCK_DELIM } from "./constants";
+import { REGEX_BLOCK_MAXLEN, REGEX_BLOCK_START, REGEX_BLOCK_END, REGEX_BLOCK_DELIM, SOFT_BLOCK, HARD_BLOCK } from "./constants";
 
 /*
  * The following code is from https://searchfox.org/mozilla-central/source/toolkit/mozapps/extensions/Blocklist.jsm
@@ -205,6 +205,142 @@ export function getSeverity(severity) {
   return map[severity] || `unknown (${severity})`;
 }
 
+/**
+ * Get the severity constant based on the string, the reverse of getSeverity.
+ *
+ * @param {string} str          The severity string, soft or hard.
+ * @return {?number}            The severity constant, or null if the string is unknown.
+ */
+export function parseSeverity(str) {
+  let map = { soft: SOFT_BLOCK, hard: HARD_BLOCK };
+  return map[str.trim().toLowerCase()] || null;
+}
+
+/**
+ * Parse a version range string in the form min:max or min:max:severity.
+ *
+ * @param {string} str                  The version range string, e.g. 1.0:1.4:soft.
+ * @param {number} defaultSeverity      The severity if the string doesn't contain one.
+ * @return {object}                     The version range for the blocklist entry.
+ */
+export function parseVersionRange(str, defaultSeverity=HARD_BLOCK) {
+  let [minVersion, maxVersion, severity, ...rest] = str.split(":").map(part => part.trim());
+  let parsedSeverity = severity ? parseSeverity(severity) : defaultSeverity;
+
+  if (!minVersion || !maxVersion || !parsedSeverity || rest.length) {
+    throw new Error(`Invalid version range ${str}, expected min:max or min:max:severity`);
+  }
+
+  return { severity: parsedSeverity, minVersion, maxVersion };
+}
+
+/**
+ * Check if the version ranges of a blocklist entry cover all versions.
+ *
+ * @param {object[]} versionRange       The version ranges of the blocklist entry.
+ * @return {boolean}                    True, if all versions are blocked.
+ */
+export function isAllVersions(versionRange) {
+  return versionRange.length == 1 &&
+    versionRange[0].minVersion == "0" &&
+    versionRange[0].maxVersion == "*";
+}
+
+/**
+ * Compare two add-on version strings. This is a simplified version of the toolkit version
+ * comparator, it handles the number-string-number parts and * as infinity, but not the + suffix.
+ *
+ * @param {string} a          The first version.
+ * @param {string} b          The second version.
+ * @return {number}           Less than zero if a < b, zero if equal, greater than zero if a > b.
+ */
+export function compareVersions(a, b) {
+  /**
+   * Split a version part into its components.
+   *
+   * @param {string} part     The version part, e.g. 1a2.
+   * @return {Array}          The number, string, number and extra components.
+   */
+  function parsePart(part="0") {
+    if (part == "*") {
+      return [Infinity, "", 0, ""];
+    }
+    let [, numA, strB, numC, extraD] = part.match(/^(-?\d*)([^-\d]*)(-?\d*)(.*)$/);
+    return [parseInt(numA, 10) || 0, strB, parseInt(numC, 10) || 0, extraD];
+  }
+
+  /**
+   * Compare two string components, a missing string is greater than any string.
+   *
+   * @param {string} strA     The first string component.
+   * @param {string} strB     The second string component.
+   * @return {number}         The comparison result.
+   */
+  function compareStrings(strA, strB) {
+    if (strA == strB) {
+      return 0;
+    } else if (strA && strB) {
+      return strA < strB ? -1 : 1;
+    } else {
+      return strA ? -1 : 1;
+    }
+  }
+
+  let partsA = a.split(".");
+  let partsB = b.split(".");
+  for (let i = 0; i < Math.max(partsA.length, partsB.length); i++) {
+    let [numA1, strA, numA2, extraA] = parsePart(partsA[i]);
+    let [numB1, strB, numB2, extraB] = parsePart(partsB[i]);
+
+    let result = Math.sign(numA1 - numB1) ||
+      compareStrings(strA, strB) ||
+      Math.sign(numA2 - numB2) ||
+      compareStrings(extraA, extraB);
+
+    if (result) {
+      return result;
+    }
+  }
+
+  return 0;
+}
+
+/**
+ * Format the version ranges of a blocklist entry for display, as in the bug description.
+ *
+ * @param {object[]} versionRange       The version ranges of the blocklist entry.
+ * @param {boolean} [withSeverity=false]  If true, the severity is added to each range.
+ * @return {string}                     The formatted version ranges.
+ */
+export function formatVersionRanges(versionRange, withSeverity=false) {
+  return versionRange.map((range) => {
+    let str = isAllVersions([range]) ? "<all versions>" : `${range.minVersion} - ${range.maxVersion}`;
+    return withSeverity ? `${str} (${getSeverity(range.severity)})` : str;
+  }).join(", ");
+}
+
+/**
+ * Parse version ranges formatted with formatVersionRanges.
+ *
+ * @param {string} str                  The formatted version ranges.
+ * @param {number} defaultSeverity      The severity for ranges that don't specify one.
+ * @return {?Array<object>}           The version ranges, or null if the string can't be parsed.
+ */
+export function parseVersionRanges(str, defaultSeverity=HARD_BLOCK) {
+  let versionRange = [];
+  for (let part of str.split(",")) {
+    let match = part.trim().match(/^(?:<all versions>|(\S+) - (\S+))(?: \((soft|hard)\))?$/);
+    if (!match) {
+      return null;
+    }
+
+    let [, minVersion="0", maxVersion="*", severity] = match;
+    versionRange.push({ severity: severity ? parseSeverity(severity) : defaultSeverity, minVersion, maxVersion });
+  }
+
+  return versionRange;
+}
+
 /**
  * Create kinto guid strings, up to the maximum length we support since bug 1604655. For a single
  * guid this will be an array with just the guid.
@@ -243,17 +379,39 @@ export function createGuidStrings(guids) {
 }
 
 /**
- * Extracts guids from the regex we commonly use for blocks.
+ * Check if the guid string of a blocklist entry is a regex, either enclosed in slashes or a
+ * pattern starting with ^.
+ *
+ * @param {string} str        The guid string.
+ * @return {boolean}          True, if the guid string is a regex.
+ */
+export function isGuidRegex(str) {
+  return str.startsWith("/") || str.startsWith("^");
+}
+
+/**
+ * Create the RegExp for the guid string of a blocklist entry that is a regex.
+ *
+ * @param {string} str        The regex guid string, see isGuidRegex.
+ * @return {RegExp}           The regular expression.
+ */
+export function parseGuidRegex(str) {
+  return new RegExp(str.startsWith("/") ? str.substring(1, str.length - 1) : str);
+}
+
+/**
+ * Extracts guids from the regex we commonly use for blocks. A guid string that is not a regex is
+ * returned as the only guid.
  *
  * @param {string} str        The regex string to expand.
- * @return {string[]}         The expanded guids.
+ * @return {string[]}         The expanded guids, or an empty array if the regex can't be split.
  */
 export function expandGuidRegex(str) {
-  if (!str.startsWith("/")) {
+  if (!isGuidRegex(str)) {
     return [str];
   }
 
-  if (kIsMultipleIds.test(str) && !kEscapeSequences.test(str)) {
+  if (str.startsWith("/") && kIsMultipleIds.test(str) && !kEscapeSequences.test(str)) {
     // Remove the regexp gunk at the start and end of the string, as well
     // as all backslashes, and split by )|( to leave the list of IDs.
     return [...new Set(str.replace(kRegExpRemovalRegExp, "").split(")|("))];
@@ -262,6 +420,25 @@ export function expandGuidRegex(str) {
   }
 }
 
+/**
+ * Serialize a value to JSON with sorted object keys, so that equal objects result in the same
+ * string regardless of the key order.
+ *
+ * @param {*} value           The value to serialize.
+ * @return {string}           The JSON string.
+ */
+export function canonicalJSON(value) {
+  if (Array.isArray(value)) {
+    return "[" + value.map(canonicalJSON).join(",") + "]";
+  } else if (value && typeof value == "object") {
+    return "{" + Object.keys(value).sort().map((key) => {
+      return JSON.stringify(key) + ":" + canonicalJSON(value[key]);
+    }).join(",") + "}";
+  } else {
+    return JSON.stringify(value);
+  }
+}
+
 /**
  * Expand a string into the correct plural form. Only support for plural rule 1, which
  * includes English.
@@ -275,3 +452,119 @@ export function pluralForm(count, str) {
   let parts = str.split(";");
   return count == 1 || parts.length < 2 ? parts[0]: parts[1];
 }
+
+/**
+ * Find the index of the brace closing the one at the start index.
+ *
+ * @param {string} str          The template string.
+ * @param {number} start        The index of the opening brace.
+ * @return {number}             The index of the closing brace.
+ */
+function findClosingBrace(str, start) {
+  let depth = 0;
+  for (let i = start; i < str.length; i++) {
+    if (str[i] == "{") {
+      depth++;
+    } else if (str[i] == "}" && --depth == 0) {
+      return i;
+    }
+  }
+  throw new Error(`Unbalanced braces in template: ${str}`);
+}
+
+/**
+ * Select the message of an ICU plural argument.
+ *
+ * @param {string} options          The plural options, for example `one {# add-on} other {# add-ons}`.
+ * @param {number} count            The number to select the message for.
+ * @param {Intl.PluralRules} rules  The plural rules of the locale.
+ * @return {string}                 The selected message, not yet rendered.
+ */
+function selectPlural(options, count, rules) {
+  let messages = {};
+  let rest = options.trim();
+  while (rest) {
+    let match = rest.match(/^(=\d+|zero|one|two|few|many|other)\s*\{/);
+    if (!match) {
+      throw new Error(`Invalid plural option in template: ${rest}`);
+    }
+
+    let start = match[0].length - 1;
+    let end = findClosingBrace(rest, start);
+    messages[match[1]] = rest.substring(start + 1, end);
+    rest = rest.substring(end + 1).trim();
+  }
+
+  if (!("other" in messages)) {
+    throw new Error(`Plural arguments need an other option: ${options}`);
+  }
+
+  let exact = "=" + count;
+  if (exact in messages) {
+    return messages[exact];
+  }
+  let category = rules.select(count);
+  return category in messages ? messages[category] : messages.other;
+}
+
+/**
+ * Render a template with placeholders like `{name}` and ICU plural arguments like
+ * `{count, plural, one {# add-on} other {# add-ons}}`. Within a plural message, `#` is replaced by
+ * the number.
+ *
+ * @param {string} template         The template string.
+ * @param {object} values           The values for the placeholders.
+ * @param {string} locale           The locale for the plural rules.
+ * @return {string}                 The rendered string.
+ */
+export function renderTemplate(template, values, locale="en-US") {
+  let rules = new Intl.PluralRules(locale);
+
+  let render = (str, hash) => {
+    let output = "";
+    for (let i = 0; i < str.length; i++) {
+      if (str[i] == "{") {
+        let end = findClosingBrace(str, i);
+        let [key, type, ...options] = str.substring(i + 1, end).split(",");
+        key = key.trim();
+
+        if (!(key in values)) {
+          throw new Error(`Unknown placeholder {${key}}, use one of ${Object.keys(values).map(name => `{${name}}`).join(", ")}`);
+        }
+
+        if (type === undefined) {
+          output += values[key];
+        } else if (type.trim() == "plural") {
+          output += render(selectPlural(options.join(","), Number(values[key]), rules), values[key]);
+        } else {
+          throw new Error(`Unsupported argument type ${type.trim()} in template, only plural is supported`);
+        }
+        i = end;
+      } else if (str[i] == "}") {
+        throw new Error(`Unbalanced braces in template: ${template}`);
+      } else if (str[i] == "#" && hash !== null) {
+        output += hash;
+      } else {
+        output += str[i];
+      }
+    }
+    return output;
+  };
+
+  return render(template, null);
+}
+
+/**
+ * Render a canned reason. Reasons using the older `singular;plural` format without placeholders are
+ * still supported.
+ *
+ * @param {string} reason           The reason template.
+ * @param {object} values           The values for the placeholders, including the count.
+ * @return {string}                 The rendered reason.
+ */
+export function renderReason(reason, values) {
+  if (!reason.includes("{")) {
+    return pluralForm(values.count, reason);
+  }
+  return renderTemplate(reason, values);
+}
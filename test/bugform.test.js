@@ -0,0 +1,51 @@
+/* This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ * Portions Copyright (C) Philipp Kewisch, 2020 */
+
+import assert from "assert";
+
+import { compileDescription, parseBlocklistBugText } from "../src/bugform";
+import { SOFT_BLOCK, HARD_BLOCK } from "../src/constants";
+
+describe("bugform", () => {
+  describe("parseBlocklistBugText", () => {
+    it("round-trips a compiled description", () => {
+      let versionRange = [
+        { severity: SOFT_BLOCK, minVersion: "1.0", maxVersion: "1.4" },
+        { severity: HARD_BLOCK, minVersion: "2.0", maxVersion: "*" }
+      ];
+      let reason = "This add-on steals search data.\n\nIt also injects ads into pages.";
+      let guids = ["a@example.com", "{b0b4a3e5-0f2c-4b48-9a4f-4c5d2e3a1b00}"];
+      let additionalInfo = "Some info\n```\ncode\n```";
+
+      let text = compileDescription("Search | Tabs\\Helper", versionRange, reason, guids, additionalInfo);
+      let bugData = parseBlocklistBugText(123, text);
+
+      assert.deepStrictEqual(bugData, {
+        id: 123,
+        name: "Search | Tabs\\Helper",
+        reason: reason,
+        guids: guids,
+        severity: null,
+        versionRange: versionRange,
+        platforms: "<all platforms>",
+        additionalInfo: additionalInfo
+      });
+    });
+
+    it("parses the severity of a single range", () => {
+      let versionRange = [{ severity: SOFT_BLOCK, minVersion: "0", maxVersion: "*" }];
+      let text = compileDescription("Name", versionRange, "Reason", ["a@example.com"]);
+      let bugData = parseBlocklistBugText(123, text);
+
+      assert.strictEqual(bugData.severity, SOFT_BLOCK);
+      assert.deepStrictEqual(bugData.versionRange, versionRange);
+      assert.strictEqual(bugData.additionalInfo, null);
+    });
+
+    it("returns null for bugs not using the form", () => {
+      assert.strictEqual(parseBlocklistBugText(123, "Please block this add-on"), null);
+    });
+  });
+});
@@ -0,0 +1,118 @@
+/* This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ * Portions Copyright (C) Philipp Kewisch, 2020 */
+
+import assert from "assert";
+
+import { createRows, expandRecords, sqlIdentifier, sqlLiteral, formatSQL } from "../src/formats";
+import { SOFT_BLOCK, HARD_BLOCK } from "../src/constants";
+
+const ENTRY = {
+  id: "entry1",
+  guid: "/^((a@example\\.com)|(b@example\\.com))$/",
+  details: { bug: "https://bugzilla.mozilla.org/show_bug.cgi?id=1", created: "2020-03-01T00:00:00Z" },
+  versionRange: [
+    { severity: SOFT_BLOCK, minVersion: "0", maxVersion: "1.0" },
+    { severity: HARD_BLOCK, minVersion: "2.0", maxVersion: "*" }
+  ]
+};
+
+describe("formats", () => {
+  describe("createRows", () => {
+    it("creates one row per guid and version range", () => {
+      let rows = createRows(expandRecords([ENTRY]), ["guid", "severity", "maxVersion"]);
+      assert.deepStrictEqual(rows, [
+        ["a@example.com", SOFT_BLOCK, "1.0"],
+        ["a@example.com", HARD_BLOCK, "*"],
+        ["b@example.com", SOFT_BLOCK, "1.0"],
+        ["b@example.com", HARD_BLOCK, "*"]
+      ]);
+    });
+
+    it("marks regexes that can't be split", () => {
+      let entry = { ...ENTRY, guid: "^abc.*$", versionRange: [ENTRY.versionRange[0]] };
+      let rows = createRows(expandRecords([entry]), ["guid", "regex"]);
+      assert.deepStrictEqual(rows, [["^abc.*$", 1]]);
+    });
+
+    it("creates one row per guid without perRange", () => {
+      let rows = createRows(expandRecords([ENTRY]), ["guid", "severity", "multirange"], { perRange: false });
+      assert.deepStrictEqual(rows, [
+        ["a@example.com", SOFT_BLOCK, 1],
+        ["b@example.com", SOFT_BLOCK, 1]
+      ]);
+    });
+  });
+
+  describe("sqlLiteral", () => {
+    const TRICKY = "it's a \\ back\nslash\r";
+
+    it("escapes strings for mysql and bigquery", () => {
+      let expected = "'it\\'s a \\\\ back\\nslash\\r'";
+      assert.strictEqual(sqlLiteral(TRICKY, "string", "mysql"), expected);
+      assert.strictEqual(sqlLiteral(TRICKY, "string", "bigquery"), expected);
+    });
+
+    it("escapes strings for postgres", () => {
+      assert.strictEqual(sqlLiteral(TRICKY, "string", "postgres"), "'it''s a \\ back\nslash\r'");
+    });
+
+    it("converts numbers and missing values", () => {
+      assert.strictEqual(sqlLiteral("3", "number", "mysql"), "3");
+      assert.strictEqual(sqlLiteral(null, "string", "postgres"), "NULL");
+      assert.strictEqual(sqlLiteral(undefined, "number", "bigquery"), "NULL");
+    });
+  });
+
+  describe("sqlIdentifier", () => {
+    it("quotes identifiers for the dialect", () => {
+      assert.strictEqual(sqlIdentifier("gu`id", "mysql"), "`gu``id`");
+      assert.strictEqual(sqlIdentifier("gu\"id", "postgres"), "\"gu\"\"id\"");
+    });
+  });
+
+  describe("formatSQL", () => {
+    const ROWS = [["a'b@example.com", 3], ["c@example.com", null]];
+
+    it("uses VALUES rows for mysql", () => {
+      assert.strictEqual(formatSQL(["guid", "severity"], ROWS, { dialect: "mysql" }), [
+        "SELECT * FROM (VALUES",
+        "ROW('a\\'b@example.com', 3),",
+        "ROW('c@example.com', NULL)",
+        ") AS blocklist (`guid`, `severity`)"
+      ].join("\n"));
+    });
+
+    it("uses VALUES for postgres", () => {
+      assert.strictEqual(formatSQL(["guid", "severity"], ROWS, { dialect: "postgres" }), [
+        "SELECT * FROM (VALUES",
+        "('a''b@example.com', 3),",
+        "('c@example.com', NULL)",
+        ") AS blocklist (\"guid\", \"severity\")"
+      ].join("\n"));
+    });
+
+    it("uses STRUCT elements for bigquery", () => {
+      assert.strictEqual(formatSQL(["guid"], [["x@example.com"]], { dialect: "bigquery" }), [
+        "SELECT * FROM UNNEST(ARRAY<STRUCT<guid STRING>>[",
+        "STRUCT('x@example.com')",
+        "])"
+      ].join("\n"));
+    });
+
+    it("fills a temporary table in chunks", () => {
+      let rows = Array.from({ length: 1001 }, (value, idx) => [`${idx}@example.com`]);
+      let statements = formatSQL(["guid"], rows, { dialect: "postgres", table: "blocked" }).split(";\n");
+
+      assert.strictEqual(statements[0], "CREATE TEMPORARY TABLE \"blocked\" (\"guid\" TEXT)");
+      assert.strictEqual(statements.length, 3);
+      assert.strictEqual(statements[1].split("\n").length, 1001);
+      assert.strictEqual(statements[2], "INSERT INTO \"blocked\" (\"guid\") VALUES\n('1000@example.com');");
+    });
+
+    it("handles empty input", () => {
+      assert.strictEqual(formatSQL(["guid"], [], { dialect: "mysql" }), "-- No matching guids");
+    });
+  });
+});
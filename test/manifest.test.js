@@ -0,0 +1,119 @@
+/* This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ * Portions Copyright (C) Philipp Kewisch, 2020 */
+
+import assert from "assert";
+import yaml from "js-yaml";
+
+import { validateManifest } from "../src/manifest";
+import { SOFT_BLOCK, HARD_BLOCK } from "../src/constants";
+
+describe("validateManifest", () => {
+  const CANNED = {
+    malware: {
+      kinto: "This add-on is malware",
+      bugzilla: "This add-on is malware"
+    }
+  };
+
+  /**
+   * Create manifest data that passes validation, with some fields replaced.
+   *
+   * @param {object} fields         The fields to replace.
+   * @return {object}               The manifest data.
+   */
+  function manifestData(fields={}) {
+    return {
+      bug: 123,
+      name: "Evil add-on",
+      reason: "malware",
+      guids: ["foo@bar", "{9c3e2cd1-6e63-4b1e-9bc4-1a37b1d2b9a0}"],
+      ...fields
+    };
+  }
+
+  it("fills in the defaults", () => {
+    assert.deepStrictEqual(validateManifest(manifestData(), CANNED), {
+      bug: 123,
+      name: "Evil add-on",
+      canned: "malware",
+      reason: null,
+      versionRange: [{ severity: HARD_BLOCK, minVersion: "0", maxVersion: "*" }],
+      action: "none",
+      additionalInfo: null,
+      guids: ["foo@bar", "{9c3e2cd1-6e63-4b1e-9bc4-1a37b1d2b9a0}"]
+    });
+  });
+
+  it("accepts a new bug", () => {
+    assert.strictEqual(validateManifest(manifestData({ bug: "new" }), CANNED).bug, null);
+    assert.strictEqual(validateManifest(manifestData({ bug: "456" }), CANNED).bug, 456);
+    assert.throws(() => validateManifest(manifestData({ bug: "old" }), CANNED), /bug must be a bug id or "new"/);
+  });
+
+  it("accepts canned reasons", () => {
+    let manifest = validateManifest(manifestData(), CANNED);
+    assert.strictEqual(manifest.canned, "malware");
+    assert.strictEqual(manifest.reason, null);
+  });
+
+  it("rejects unknown canned reasons", () => {
+    assert.throws(
+      () => validateManifest(manifestData({ reason: "spam" }), CANNED),
+      /reason spam is not a valid canned reason, use one of malware/
+    );
+  });
+
+  it("accepts custom reasons", () => {
+    let reason = { kinto: "Kinto reason", bugzilla: "Bugzilla reason" };
+    let manifest = validateManifest(manifestData({ reason }), CANNED);
+    assert.strictEqual(manifest.canned, null);
+    assert.deepStrictEqual(manifest.reason, reason);
+
+    assert.throws(
+      () => validateManifest(manifestData({ reason: { kinto: "Kinto reason" } }), CANNED),
+      /reason must be a canned reason or an object with kinto and bugzilla keys/
+    );
+  });
+
+  it("parses version ranges", () => {
+    let versionRange = ["1.0:1.10", { minVersion: "2.0", maxVersion: "*", severity: "soft" }];
+    let manifest = validateManifest(manifestData({ versionRange, severity: "soft" }), CANNED);
+    assert.deepStrictEqual(manifest.versionRange, [
+      { severity: SOFT_BLOCK, minVersion: "1.0", maxVersion: "1.10" },
+      { severity: SOFT_BLOCK, minVersion: "2.0", maxVersion: "*" }
+    ]);
+  });
+
+  it("rejects numeric versions", () => {
+    let data = yaml.safeLoad([
+      "bug: 123",
+      "name: Evil add-on",
+      "reason: malware",
+      "versionRange:",
+      "  - minVersion: 1.0",
+      "    maxVersion: 1.10",
+      "guids:",
+      "  - foo@bar"
+    ].join("\n"));
+
+    assert.throws(
+      () => validateManifest(data, CANNED),
+      /version range 1:1.1 must use quoted strings for minVersion and maxVersion/
+    );
+  });
+
+  it("collects all errors", () => {
+    let data = { bug: "old", reason: "spam", action: "delete", guids: [] };
+    assert.throws(() => validateManifest(data, CANNED, "block.yml"), {
+      message: "Invalid manifest block.yml:\n\t" + [
+        "bug must be a bug id or \"new\"",
+        "name is required",
+        "reason spam is not a valid canned reason, use one of malware",
+        "action must be one of ban,disable,none",
+        "guids must be a non-empty list of guids"
+      ].join("\n\t")
+    });
+  });
+});
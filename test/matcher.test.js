@@ -0,0 +1,83 @@
+/* This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ * Portions Copyright (C) Philipp Kewisch, 2020 */
+
+import assert from "assert";
+
+import GuidMatcher from "../src/matcher";
+import { createGuidStrings, isGuidRegex, parseGuidRegex } from "../src/utils";
+
+/**
+ * Create the guid and regex maps like loadBlocklist does.
+ *
+ * @param {string[]} guidstrings        The guid strings of the entries, in blocklist order.
+ * @return {Array<Map>}                 The guid and regex maps.
+ */
+function loadEntries(guidstrings) {
+  let guids = new Map();
+  let regexes = new Map();
+  guidstrings.forEach((guid, idx) => {
+    let entry = { id: "entry" + idx, guid: guid };
+    if (isGuidRegex(guid)) {
+      regexes.set(parseGuidRegex(guid), entry);
+    } else {
+      guids.set(guid, entry);
+    }
+  });
+  return [guids, regexes];
+}
+
+/**
+ * Match a guid by testing every regex, as done before the GuidMatcher.
+ *
+ * @param {string} guid                 The guid to match.
+ * @param {Map} guids                   The guid map.
+ * @param {Map} regexes                 The regex map.
+ * @return {GuidMatch}                  The matching entries.
+ */
+function naiveMatch(guid, guids, regexes) {
+  let regexmatches = [...regexes.keys()].filter(re => guid.match(re));
+  let single = guids.get(guid) || null;
+  let entry = single || (regexmatches.length ? regexes.get(regexmatches[0]) : null);
+  return { entry, single, regexes: regexmatches };
+}
+
+describe("GuidMatcher", () => {
+  let [guids, regexes] = loadEntries([
+    "single@example.com",
+    createGuidStrings(["single@example.com", "first@example.com", "both@example.com"])[0],
+    "/^.*@evil\\.com$/",
+    createGuidStrings(["both@example.com", "last@evil.com"])[0],
+    "^pattern-\\d+@example\\.com$",
+  ]);
+  let matcher = new GuidMatcher(guids, regexes);
+
+  let cases = {
+    "a single guid that is also in a regex": "single@example.com",
+    "a guid in several regexes": "both@example.com",
+    "a guid in an expanded regex and a pattern": "last@evil.com",
+    "a guid only in a slash pattern": "other@evil.com",
+    "a guid only in a ^ pattern": "pattern-12@example.com",
+    "a guid in a single regex": "first@example.com",
+    "a guid that is not blocked": "unknown@example.com",
+  };
+
+  for (let [description, guid] of Object.entries(cases)) {
+    it(`matches like testing every regex for ${description}`, () => {
+      assert.deepStrictEqual(matcher.match(guid), naiveMatch(guid, guids, regexes));
+    });
+  }
+
+  it("prefers the single entry over regexes", () => {
+    let match = matcher.match("single@example.com");
+    assert.strictEqual(match.entry.id, "entry0");
+    assert.strictEqual(match.regexes.length, 1);
+  });
+
+  it("returns the regexes in blocklist order", () => {
+    let match = matcher.match("last@evil.com");
+    assert.deepStrictEqual(match.regexes.map(regex => regexes.get(regex).id), ["entry2", "entry3"]);
+    assert.strictEqual(match.entry.id, "entry2");
+  });
+});
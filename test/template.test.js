@@ -0,0 +1,79 @@
+/* This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ * Portions Copyright (C) Philipp Kewisch, 2020 */
+
+import assert from "assert";
+
+import { renderTemplate, renderReason } from "../src/utils";
+
+describe("renderTemplate", () => {
+  const ADDONS = "{count, plural, one {# add-on} other {# add-ons}}";
+
+  it("replaces placeholders", () => {
+    assert.strictEqual(renderTemplate("{name} in bug {bug}", { name: "Evil", bug: "123" }), "Evil in bug 123");
+  });
+
+  it("leaves text without placeholders alone", () => {
+    assert.strictEqual(renderTemplate("nothing to do", {}), "nothing to do");
+  });
+
+  it("selects the plural category and replaces #", () => {
+    assert.strictEqual(renderTemplate(ADDONS, { count: 1 }), "1 add-on");
+    assert.strictEqual(renderTemplate(ADDONS, { count: 3 }), "3 add-ons");
+    assert.strictEqual(renderTemplate(ADDONS, { count: 0 }), "0 add-ons");
+  });
+
+  it("prefers exact =N matches over the category", () => {
+    let template = "{count, plural, =0 {no add-ons} =1 {a single add-on} one {# add-on} other {# add-ons}}";
+    assert.strictEqual(renderTemplate(template, { count: 0 }), "no add-ons");
+    assert.strictEqual(renderTemplate(template, { count: 1 }), "a single add-on");
+    assert.strictEqual(renderTemplate(template, { count: 2 }), "2 add-ons");
+  });
+
+  it("renders placeholders nested in plural messages", () => {
+    let template = "{count, plural, one {# add-on by {name}} other {# add-ons by {name}}} ({versions})";
+    let values = { count: 2, name: "Evil", versions: "<all versions>" };
+    assert.strictEqual(renderTemplate(template, values), "2 add-ons by Evil (<all versions>)");
+  });
+
+  it("only replaces # within plural messages", () => {
+    assert.strictEqual(renderTemplate("bug #{bug}", { bug: "123" }), "bug #123");
+  });
+
+  it("uses the plural rules of the locale", () => {
+    let template = "{count, plural, one {one} few {few} many {many} other {other}}";
+    assert.strictEqual(renderTemplate(template, { count: 3 }, "pl"), "few");
+    assert.strictEqual(renderTemplate(template, { count: 3 }, "en-US"), "other");
+  });
+
+  it("throws on unknown placeholders", () => {
+    let message = "Unknown placeholder {nmae}, use one of {name}, {bug}";
+    assert.throws(() => renderTemplate("{nmae}", { name: "Evil", bug: "123" }), { message });
+    assert.throws(() => renderTemplate("{count, plural, other {{nmae}}}", { count: 2 }), /Unknown placeholder \{nmae\}/);
+  });
+
+  it("throws on unbalanced braces", () => {
+    assert.throws(() => renderTemplate("{name", { name: "Evil" }), /Unbalanced braces in template/);
+    assert.throws(() => renderTemplate("name}", { name: "Evil" }), /Unbalanced braces in template/);
+    assert.throws(() => renderTemplate("{count, plural, other {# add-ons}", { count: 2 }), /Unbalanced braces in template/);
+  });
+
+  it("throws on invalid plural arguments", () => {
+    assert.throws(() => renderTemplate("{count, plural, one {# add-on}}", { count: 2 }), /need an other option/);
+    assert.throws(() => renderTemplate("{count, plural, lots {# add-ons}}", { count: 2 }), /Invalid plural option/);
+    assert.throws(() => renderTemplate("{count, select, other {x}}", { count: 2 }), /Unsupported argument type select/);
+  });
+});
+
+describe("renderReason", () => {
+  it("supports the singular;plural format", () => {
+    assert.strictEqual(renderReason("This add-on is;These add-ons are", { count: 1 }), "This add-on is");
+    assert.strictEqual(renderReason("This add-on is;These add-ons are", { count: 2 }), "These add-ons are");
+  });
+
+  it("renders templates", () => {
+    let reason = "{count, plural, one {This add-on is} other {These add-ons are}} in bug {bug}";
+    assert.strictEqual(renderReason(reason, { count: 2, bug: "123" }), "These add-ons are in bug 123");
+  });
+});
@@ -0,0 +1,47 @@
+/* This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ * Portions Copyright (C) Philipp Kewisch, 2020 */
+
+import assert from "assert";
+
+import { isGuidRegex, parseGuidRegex, expandGuidRegex, createGuidStrings } from "../src/utils";
+
+describe("utils", () => {
+  describe("expandGuidRegex", () => {
+    it("returns a single guid as is", () => {
+      assert.deepStrictEqual(expandGuidRegex("foo@bar"), ["foo@bar"]);
+    });
+
+    it("expands regexes created by createGuidStrings", () => {
+      let guids = ["foo@bar", "{9c3e2cd1-6e63-4b1e-9bc4-1a37b1d2b9a0}", "a.b@c"];
+      assert.deepStrictEqual(expandGuidRegex(createGuidStrings(guids)[0]), guids);
+    });
+
+    it("doesn't split regexes with patterns", () => {
+      assert.deepStrictEqual(expandGuidRegex("/^((foo@bar)|(.*@evil\\.com))$/"), []);
+      assert.deepStrictEqual(expandGuidRegex("/^.*@evil\\.com$/"), []);
+    });
+
+    it("doesn't treat ^ patterns as guids", () => {
+      assert.deepStrictEqual(expandGuidRegex("^abc.*$"), []);
+    });
+  });
+
+  describe("isGuidRegex", () => {
+    it("detects both regex forms", () => {
+      assert.strictEqual(isGuidRegex("/^((foo@bar))$/"), true);
+      assert.strictEqual(isGuidRegex("^abc.*$"), true);
+      assert.strictEqual(isGuidRegex("foo@bar"), false);
+      assert.strictEqual(isGuidRegex("{9c3e2cd1-6e63-4b1e-9bc4-1a37b1d2b9a0}"), false);
+    });
+  });
+
+  describe("parseGuidRegex", () => {
+    it("parses both regex forms", () => {
+      assert.ok(parseGuidRegex("/^((foo@bar)|(baz@bar))$/").test("baz@bar"));
+      assert.ok(parseGuidRegex("^abc.*$").test("abcdef"));
+      assert.ok(!parseGuidRegex("^abc.*$").test("xabc"));
+    });
+  });
+});